@@ -0,0 +1,50 @@
+// Notifiers
+//
+// Where the result of each cycle is sent: test runs and infrastructure failures. Every entry
+// matching the suite and the product of the cycle, and whose rule applies, gets the result.
+// The file is reloaded at every cycle. Deliveries go through the outbox and are retried.
+//
+// Common fields:
+//   type      slack, datator, webhook, email or github-status
+//   name      Name used in logs and by `replay --notifier` (defaults to the type, must be unique)
+//   enabled   Set to false to turn the notifier off
+//   suites    RegExp matching the test suites to notify about (all of them when not set)
+//   products  Datator codes of the products to notify about (all of them when not set)
+//   when      always (default), failure (any outcome but passed) or change (outcome differs
+//             from the previous run of the suite)
+//
+// Type specific fields:
+//   slack          channel   Channel ID overriding SLACK_CHANNEL (Block Kit reports only)
+//   webhook        url       URL receiving the result as a JSON POST
+//                  headers   Extra request headers, e.g. an Authorization header
+//                  secret    Signs the body with HMAC-SHA256 in the X-Auto-E2E-Signature header
+//   email          to        Recipient address or addresses, sent through the SMTP_* server
+//   github-status  repo      GitHub repository (owner/name), defaults to the product repository
+//                  context   Status context, defaults to auto-e2e/<suite>
+//
+// Slack and Datator use the credentials of .env, the entries below keep them enabled for every
+// suite. Read secrets from the environment rather than writing them here, this file is versioned.
+//
+// Examples:
+//   {
+//     type: 'webhook',
+//     name: 'qa-dashboard',
+//     url: 'https://qa.example.com/hooks/auto-e2e',
+//     headers: { Authorization: `Bearer ${process.env.QA_DASHBOARD_TOKEN}` },
+//   },
+//   {
+//     type: 'email',
+//     to: ['backwpup-team@example.com'],
+//     products: ['backwpup'],
+//     when: 'change',
+//   },
+//   {
+//     type: 'github-status',
+//     suites: /^test:e2e$/,
+//     products: ['wp_rocket'],
+//   },
+
+module.exports = [
+  { type: 'slack' },
+  { type: 'datator' },
+];
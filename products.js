@@ -0,0 +1,59 @@
+// Product registry
+//
+// Each entry describes a plugin that auto-e2e can build and test. The runner picks
+// the first entry whose `suiteMatch` matches the test suite passed on the command
+// line, falling back to the entry flagged `default: true`.
+//
+// Relative paths are resolved against the auto-e2e base directory (the parent of
+// this repository), which is where the clones and compile scripts live.
+//
+// Fields:
+//   name            Display name used in logs and Slack messages
+//   datatorCode     Product code sent to Datator
+//   repo            Git repository to clone
+//   branch          Branch to test
+//   cloneDir        Where the repository is cloned
+//   compileScript   Script building the plugin ZIP
+//   compileCommand  Command used to run the compile script (defaults to bash)
+//   compileArgs     Extra arguments passed to the compile script
+//   zipFolder       Folder where the compile script writes the ZIP
+//   zipPattern      RegExp matching the generated ZIP file name, the newest match is used
+//   zipForE2E       Name expected by rocket-e2e in its plugin directory
+//   fileOverrides   Files copied into the clone before compiling ({ source, target })
+//   suiteMatch      RegExp matching the test suites for this product
+//   default         Use this product when no suiteMatch applies
+
+module.exports = [
+  {
+    name: 'WP Rocket',
+    datatorCode: 'wp_rocket',
+    repo: 'https://github.com/wp-media/wp-rocket.git',
+    branch: 'develop',
+    cloneDir: 'wp-rocket',
+    compileScript: 'compile-wp-rocket.sh',
+    compileArgs: [],
+    zipFolder: '.',
+    zipPattern: /^wp-rocket.*\.zip$/, // wp-rocket.zip or versioned names such as wp-rocket_3.19.zip
+    zipForE2E: 'new_release.zip',
+    fileOverrides: [
+      // Pre-filled licence so the plugin is activated during tests
+      { source: 'licence-data.php.bak', target: 'licence-data.php' },
+    ],
+    suiteMatch: /^test:(?!bwpup)/,
+    default: true,
+  },
+  {
+    name: 'BackWPUp',
+    datatorCode: 'backwpup',
+    repo: 'https://github.com/wp-media/backwpup-pro.git',
+    branch: 'develop',
+    cloneDir: 'backwpup-pro',
+    compileScript: 'compile-backwpup.sh',
+    compileArgs: ['--ver', '5.99.99'],
+    zipFolder: 'backwpup-pro',
+    zipPattern: /^backwpup-pro-en-/,
+    zipForE2E: 'backwpup-pro.zip',
+    fileOverrides: [],
+    suiteMatch: /^test:bwpup/,
+  },
+];
@@ -0,0 +1,28 @@
+// Quarantined scenarios
+//
+// Scenarios known to be broken, listed here so they stop turning every run red. They still
+// run and are sent to Datator flagged as quarantined, but they are reported in their own
+// Slack section and do not count as failures. The file is reloaded at every cycle.
+//
+// Entries past their expiry date no longer apply and are called out in every report,
+// extend or remove them once the scenario is fixed.
+//
+// Fields:
+//   feature   Feature name of the scenarios, all of them when `name` is not set
+//   name      Scenario name
+//   tag       Tag of the scenarios (e.g. '@cache'), instead of feature and name
+//   reason    Why the scenario is quarantined, e.g. an issue link
+//   owner     Who follows up on the fix
+//   expires   Last day of the quarantine (YYYY-MM-DD)
+//
+// Example:
+//   {
+//     feature: 'Lazyload',
+//     name: 'Images below the fold are lazyloaded',
+//     reason: 'Timeout on the new theme, https://github.com/wp-media/wp-rocket/issues/1234',
+//     owner: 'qa-team',
+//     expires: '2026-11-30',
+//   },
+
+module.exports = [
+];
@@ -0,0 +1,41 @@
+// Scheduled jobs, run with `node auto-e2e.js schedule`
+//
+// All jobs share one queue, so only one suite uses the test site at a time. When
+// several jobs are waiting, the one with the highest priority runs first. Jobs
+// only run when the plugin or e2e repository moved since their last run, unless
+// `force` is set or AUTO_E2E_FORCE_RUN_HOURS elapsed.
+//
+// Fields:
+//   name        Display name used in logs and the dashboard (defaults to the suite)
+//   suite       npm script of the e2e repository to run
+//   cron        Cron expression (minute hour day-of-month month day-of-week, local time)
+//   interval    Minutes between two runs, instead of a cron expression
+//   priority    Higher runs first when several jobs are waiting (defaults to 0)
+//   quietHours  "HH:MM-HH:MM" ranges (local time) during which the job does not run
+//   pluginRef   Plugin branch, tag or SHA (defaults to the product branch)
+//   e2eRef      E2E branch, tag or SHA (defaults to develop)
+//   force       Run even when no new commits landed
+
+module.exports = [
+  {
+    name: 'wp-rocket-smoke',
+    suite: 'test:smoke',
+    interval: 60,
+    priority: 10,
+    quietHours: ['01:00-05:00'],
+  },
+  {
+    name: 'wp-rocket-nightly',
+    suite: 'test:e2e',
+    cron: '0 1 * * *',
+    priority: 5,
+    force: true,
+  },
+  {
+    name: 'backwpup-nightly',
+    suite: 'test:bwpup',
+    cron: '0 3 * * 1-5',
+    priority: 5,
+    force: true,
+  },
+];
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, AutoE2ERunner, parseCommandLine } = require('../auto-e2e');
+const { useTempBaseDir } = require('./helpers');
+
+// Run an action collecting what it prints to stdout and stderr
+async function captureConsole(action) {
+  const output = { stdout: [], stderr: [] };
+  const { log, error } = console;
+  console.log = (...args) => output.stdout.push(args.join(' '));
+  console.error = (...args) => output.stderr.push(args.join(' '));
+  try {
+    output.result = await action();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return output;
+}
+
+function writeCucumberResults() {
+  const folder = path.join(CONFIG.RESULTS_DIR, '2026-10-19_10-00-00');
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, 'cucumber-report.json'), JSON.stringify([{
+    name: 'Cache',
+    elements: [
+      { name: 'Clear cache', steps: [{ name: 'I clear the cache', result: { status: 'passed', duration: 1e9 } }] },
+      { name: 'Preload', steps: [{ name: 'I preload', result: { status: 'failed', error_message: 'Timeout' } }] },
+    ],
+  }]));
+  return folder;
+}
+
+test('analyze --json only prints the JSON analysis to stdout', async () => {
+  useTempBaseDir();
+  CONFIG.QUARANTINE_FILE = path.join(CONFIG.WORK_DIR, 'quarantine.js');
+  const folder = writeCucumberResults();
+
+  const { stdout, stderr, result } = await captureConsole(() => new AutoE2ERunner().printAnalysis(folder, true));
+  assert.strictEqual(result, true);
+  const analysis = JSON.parse(stdout.join('\n'));
+  assert.strictEqual(analysis.format, 'cucumber');
+  assert.deepStrictEqual(analysis.failedTestNames, ['Cache - Preload']);
+  assert.strictEqual(analysis.failureClusters[0].summary, 'Timeout');
+  // The log lines and the cucumber summary are still shown, on stderr
+  assert.ok(stderr.some(line => line.includes('=== CUCUMBER TEST REPORT ANALYSIS ===')));
+  assert.ok(stderr.some(line => /^\[.*\] Analyzing cucumber report/.test(line)));
+});
+
+test('analyze prints a readable summary without --json', async () => {
+  useTempBaseDir();
+  CONFIG.QUARANTINE_FILE = path.join(CONFIG.WORK_DIR, 'quarantine.js');
+  const folder = writeCucumberResults();
+
+  const { stdout } = await captureConsole(() => new AutoE2ERunner().printAnalysis(folder));
+  assert.ok(stdout.includes('2 tests: 1 passed, 1 failed, 0 flaky, 0 quarantined'));
+  assert.ok(stdout.includes('Timeout\n  • Cache - Preload'));
+});
+
+test('command line options and positionals are parsed', () => {
+  const analyze = parseCommandLine(['analyze', '2026-10-19_10-00-00', '--json']);
+  assert.deepStrictEqual(analyze.positionals, ['analyze', '2026-10-19_10-00-00']);
+  assert.strictEqual(analyze.values.json, true);
+
+  const queue = parseCommandLine(['queue', 'test:smoke', '--e2e-ref', 'feature/cache']);
+  assert.strictEqual(queue.isQueueCommand, true);
+  assert.strictEqual(queue.testSuite, 'test:smoke');
+  assert.deepStrictEqual(queue.refs, { e2eRef: 'feature/cache' });
+
+  assert.strictEqual(parseCommandLine([]).testSuite, 'test:e2e');
+  assert.strictEqual(parseCommandLine(['history', '--limit', '5']).values.limit, '5');
+  assert.throws(() => parseCommandLine(['--unknown']), /Unknown option/);
+});
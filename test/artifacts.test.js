@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, summarizeTestCases, parseLogTimestamp, sliceServerLog, attachmentKind } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+test('server log timestamps are read in the WordPress, nginx and Apache formats', () => {
+  assert.deepStrictEqual(parseLogTimestamp('[19-Oct-2026 10:12:01 UTC] PHP Warning: ...'), new Date(Date.UTC(2026, 9, 19, 10, 12, 1)));
+  assert.deepStrictEqual(parseLogTimestamp('[19-Oct-2026 10:12:01] PHP Notice: ...'), new Date(2026, 9, 19, 10, 12, 1));
+  assert.deepStrictEqual(parseLogTimestamp('2026/10/19 10:12:01 [error] 123#0: ...'), new Date(2026, 9, 19, 10, 12, 1));
+  assert.deepStrictEqual(parseLogTimestamp('[Mon Oct 19 10:12:01.123456 2026] [php:error] ...'), new Date(2026, 9, 19, 10, 12, 1));
+  assert.strictEqual(parseLogTimestamp('Stack trace:'), null);
+});
+
+test('server logs are sliced to a time window with their continuation lines', () => {
+  const content = [
+    'orphan line',
+    '[19-Oct-2026 09:59:59 UTC] before',
+    '[19-Oct-2026 10:00:00 UTC] PHP Fatal error: Uncaught Error',
+    'Stack trace:',
+    '#0 {main}',
+    '[19-Oct-2026 10:05:00 UTC] PHP Warning: during',
+    '[19-Oct-2026 10:10:01 UTC] after',
+    'after continuation',
+  ].join('\n');
+  const entries = sliceServerLog(content, new Date(Date.UTC(2026, 9, 19, 10, 0, 0)), new Date(Date.UTC(2026, 9, 19, 10, 10, 0)));
+  assert.deepStrictEqual(entries.map(entry => entry.text), [
+    '[19-Oct-2026 10:00:00 UTC] PHP Fatal error: Uncaught Error\nStack trace:\n#0 {main}',
+    '[19-Oct-2026 10:05:00 UTC] PHP Warning: during',
+  ]);
+});
+
+test('attachments are sorted into screenshots, videos and traces', () => {
+  assert.strictEqual(attachmentKind({ name: 'screenshot', content_type: 'image/png' }), 'screenshot');
+  assert.strictEqual(attachmentKind({ name: 'failure', path: '/tmp/failure.jpg' }), 'screenshot');
+  assert.strictEqual(attachmentKind({ name: 'video', content_type: 'video/webm' }), 'video');
+  assert.strictEqual(attachmentKind({ name: 'trace', content_type: 'application/zip' }), 'trace');
+  assert.strictEqual(attachmentKind({ name: 'log', content_type: 'text/plain' }), 'other');
+});
+
+// Runner sending the results to the Slack, Datator, webhook and email notifiers, deliveries collected
+function createNotifyingRunner() {
+  const { runner, dir } = createRunner();
+  CONFIG.NOTIFIERS_FILE = path.join(dir, 'notifiers.js');
+  fs.writeFileSync(CONFIG.NOTIFIERS_FILE, `module.exports = [
+    { type: 'slack' },
+    { type: 'datator' },
+    { type: 'webhook', url: 'https://qa.example.com/hooks/auto-e2e' },
+    { type: 'email', to: 'qa@example.com' },
+  ];`);
+  Object.assign(CONFIG, { DATATOR_API_KEY: 'key', SMTP_HOST: 'smtp.example.com', DASHBOARD_URL: '' });
+  Object.assign(runner, { pluginName: 'WP Rocket', pluginRef: 'develop', e2eRef: 'develop', deliveries: {} });
+  runner.queueDelivery = async (type, payload) => { runner.deliveries[type] = payload; };
+  runner.sendSlackReport = async (message) => { runner.deliveries.slack = message; };
+  return runner;
+}
+
+async function sendRunReports(runner, failedScenarios) {
+  const reportAnalysis = {
+    ...summarizeTestCases([{ feature_name: 'Cache', test_name: 'Preload', status: failedScenarios > 0 ? 'failed' : 'flaky', duration: 1 }]),
+    outcome: failedScenarios > 0 ? 'failed' : 'passed',
+    format: 'cucumber',
+    reportFile: 'cucumber-report.html',
+    artifactIndex: { path: '2026-10-19_10-00-00/index.json', failedScenarios },
+  };
+  await runner.sendRunReports({
+    testSuite: 'test:e2e',
+    reportAnalysis,
+    diff: null,
+    resultTimestamp: '2026-10-19_10-00-00',
+    cycleStart: new Date('2026-10-19T10:00:00.000Z'),
+    durationSeconds: 60,
+    pluginCommit: 'a'.repeat(40),
+    e2eCommit: 'b'.repeat(40),
+  });
+  return runner.deliveries;
+}
+
+test('every notifier gives the artifact index only when it lists failed scenarios', async () => {
+  let deliveries = await sendRunReports(createNotifyingRunner(), 1);
+  const indexPath = path.join(CONFIG.RESULTS_DIR, '2026-10-19_10-00-00', 'index.json');
+  assert.strictEqual(deliveries.datator.artifact_index, indexPath);
+  assert.strictEqual(deliveries.webhook.body.artifact_index, indexPath);
+  assert.ok(deliveries.email.text.includes(indexPath));
+  assert.ok(deliveries.slack.includes(indexPath));
+
+  // Flaky scenarios only: the index exists, but no notifier mentions it
+  deliveries = await sendRunReports(createNotifyingRunner(), 0);
+  assert.strictEqual(deliveries.datator.artifact_index, null);
+  assert.strictEqual(deliveries.webhook.body.artifact_index, null);
+  assert.ok(!deliveries.email.text.includes('index.json'));
+  assert.ok(!deliveries.slack.includes('index.json'));
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, summarizeTestCases, REPORT_PARSERS } = require('../auto-e2e');
+const { createRunner, createTempDir, git } = require('./helpers');
+
+// Plugin clone with 5 commits, the scenario fails from the 4th one (the one adding broken.txt)
+function createPluginRepository() {
+  const dir = createTempDir();
+  git(dir, 'init', '-q', '-b', 'develop');
+  const commits = [];
+  for (let index = 1; index <= 5; index++) {
+    fs.writeFileSync(path.join(dir, index === 4 ? 'broken.txt' : `file-${index}.txt`), String(index));
+    git(dir, 'add', '-A');
+    git(dir, 'commit', '-q', '-m', `Commit ${index}`);
+    commits.push(git(dir, 'rev-parse', 'HEAD'));
+  }
+  return { dir, commits };
+}
+
+// Runner bisecting the plugin clone, its builds and test runs are simulated
+function createBisectRunner(cloneDir) {
+  const { runner } = createRunner();
+  const buildDir = createTempDir();
+  Object.assign(runner, { cloneDir, pluginName: 'WP Rocket', zipForE2E: 'wp-rocket.zip', isRunning: true, notices: [] });
+  runner.sendSlackNotice = async (testSuite, message) => { runner.notices.push(message); };
+  runner.zipPlugin = async () => {
+    const zipPath = path.join(buildDir, 'wp-rocket.zip');
+    fs.writeFileSync(zipPath, `build of ${git(cloneDir, 'rev-parse', 'HEAD')}`);
+    return zipPath;
+  };
+  runner.runE2ETests = async () => {};
+  runner.saveTestResults = async folder => folder;
+  runner.analyzeReport = async () => summarizeTestCases([{
+    feature_name: 'Cache',
+    test_name: 'Preload',
+    status: fs.existsSync(path.join(cloneDir, 'broken.txt')) ? 'failed' : 'passed',
+  }]);
+  return runner;
+}
+
+async function bisect(runner, commits) {
+  const testCases = [{ feature_name: 'Cache', test_name: 'Preload', status: 'failed' }];
+  await runner.bisectNewFailures(
+    'test:e2e',
+    { pluginCommit: commits[0], e2eCommit: 'e2e' },
+    commits[4],
+    'e2e',
+    { ...summarizeTestCases(testCases), format: REPORT_PARSERS[0].name },
+    { newFailures: [{ name: 'Cache - Preload' }], fixed: [], stillFailing: [] },
+    '2026-10-19_10-00-00',
+  );
+}
+
+test('bisect finds the first bad commit and puts the ZIP of the run back', async () => {
+  CONFIG.BISECT_MAX_STEPS = 6;
+  const { dir, commits } = createPluginRepository();
+  const runner = createBisectRunner(dir);
+  const pluginZip = path.join(CONFIG.PLUGIN_DIR, 'wp-rocket.zip');
+  fs.mkdirSync(CONFIG.PLUGIN_DIR, { recursive: true });
+  fs.writeFileSync(pluginZip, 'build of the run');
+
+  await bisect(runner, commits);
+
+  assert.strictEqual(runner.notices.length, 1);
+  assert.match(runner.notices[0], new RegExp(`first bad WP Rocket commit .*\\n\`${commits[3].slice(0, 7)}\` Commit 4`));
+  assert.strictEqual(fs.readFileSync(pluginZip, 'utf8'), 'build of the run');
+  assert.deepStrictEqual(fs.readdirSync(CONFIG.PLUGIN_DIR), ['wp-rocket.zip']);
+  assert.strictEqual(git(dir, 'rev-parse', 'HEAD'), commits[4]);
+});
+
+test('the ZIP of the last bisect build is removed when the run had none', async () => {
+  const { dir, commits } = createPluginRepository();
+  const runner = createBisectRunner(dir);
+  const zipPlugin = runner.zipPlugin;
+  let builds = 0;
+  // The bisect stops half way, like when the runner is stopped
+  runner.zipPlugin = async () => {
+    if (++builds === 2) {
+      runner.isRunning = false;
+    }
+    return zipPlugin();
+  };
+
+  await bisect(runner, commits);
+
+  assert.strictEqual(builds, 2);
+  assert.strictEqual(fs.existsSync(path.join(CONFIG.PLUGIN_DIR, 'wp-rocket.zip')), false);
+  assert.deepStrictEqual(runner.notices, []);
+});
+
+test('the bisect verdict is posted by the Slack bot in the channel of the notifier of the suite', async () => {
+  Object.assign(CONFIG, { SLACK_WEBHOOK_URL: '', SLACK_BOT_TOKEN: 'xoxb-token', SLACK_CHANNEL: 'C0QA', INSTANCE_NAME: '' });
+  const { runner, dir } = createRunner();
+  CONFIG.NOTIFIERS_FILE = path.join(dir, 'notifiers.js');
+  fs.writeFileSync(CONFIG.NOTIFIERS_FILE, `module.exports = [
+    { type: 'slack', name: 'smoke', suites: '^test:smoke$' },
+    { type: 'slack', name: 'rocket', suites: '^test:e2e$', channel: 'C0ROCKET', when: 'failure' },
+  ];`);
+  const deliveries = [];
+  runner.queueDelivery = async (type, payload) => { deliveries.push({ type, payload }); };
+
+  await runner.sendSlackNotice('test:e2e', '🔍 First bad commit: abc1234');
+  await runner.sendSlackNotice('test:other', 'Not routed');
+  assert.deepStrictEqual(deliveries, [{
+    type: 'slack-report',
+    payload: { text: '🔍 First bad commit: abc1234', blocks: null, threadMessages: [], channel: 'C0ROCKET' },
+  }]);
+});
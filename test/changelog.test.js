@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, formatChangelogEntry } = require('../auto-e2e');
+const { createRunner, createTempDir, git } = require('./helpers');
+
+function commit(dir, subject) {
+  git(dir, 'commit', '-q', '--allow-empty', '-m', subject);
+  return git(dir, 'rev-parse', 'HEAD');
+}
+
+function createRepository() {
+  const dir = createTempDir();
+  git(dir, 'init', '-q', '-b', 'develop');
+  return dir;
+}
+
+test('the changelog lists the commits since the tested one with their pull request', async () => {
+  const { runner } = createRunner();
+  const dir = createRepository();
+  const tested = commit(dir, 'Initial commit');
+  commit(dir, 'Fix the preload of mobile pages (#7012)');
+  commit(dir, 'Merge pull request #7013 from wp-media/fix/lazyload');
+  const head = commit(dir, 'Update the readme');
+
+  const changelog = await runner.getChangelog(dir, tested, head);
+  assert.deepStrictEqual(changelog.map(entry => [entry.subject, entry.pr, entry.author]), [
+    ['Update the readme', null, 'Test'],
+    ['Merge pull request #7013 from wp-media/fix/lazyload', 7013, 'Test'],
+    ['Fix the preload of mobile pages (#7012)', 7012, 'Test'],
+  ]);
+  assert.strictEqual(changelog[0].sha, head);
+  assert.strictEqual(changelog[0].shortSha, head.slice(0, 7));
+
+  CONFIG.CHANGELOG_LIMIT = 2;
+  assert.strictEqual((await runner.getChangelog(dir, tested, head)).length, 2);
+});
+
+test('there is no changelog without previous commit, and none across branches', async () => {
+  const { runner } = createRunner();
+  const dir = createRepository();
+  const first = commit(dir, 'Initial commit');
+  const develop = commit(dir, 'On develop');
+  git(dir, 'checkout', '-q', '-b', 'feature', first);
+  const feature = commit(dir, 'On feature');
+
+  assert.deepStrictEqual(await runner.getChangelog(dir, undefined, develop), []);
+  assert.deepStrictEqual(await runner.getChangelog(dir, develop, develop), []);
+  assert.strictEqual(await runner.getChangelog(dir, develop, feature), null);
+  assert.ok(runner.logged.some(entry => /is not an ancestor/.test(entry.message)));
+});
+
+test('changelog entries show their pull request once', () => {
+  const entry = { shortSha: '1a2b3c4', author: 'Jane', subject: 'Fix the preload', pr: 7012 };
+  assert.strictEqual(formatChangelogEntry(entry), '`1a2b3c4` Fix the preload (#7012) - Jane');
+  assert.strictEqual(formatChangelogEntry({ ...entry, subject: 'Fix the preload (#7012)' }), '`1a2b3c4` Fix the preload (#7012) - Jane');
+  assert.strictEqual(formatChangelogEntry({ ...entry, pr: null }), '`1a2b3c4` Fix the preload - Jane');
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateRef, parseCommandLine } = require('../auto-e2e');
+const { createRunner, git } = require('./helpers');
+
+function commit(dir, content) {
+  fs.writeFileSync(path.join(dir, 'file.txt'), content);
+  git(dir, 'add', 'file.txt');
+  git(dir, 'commit', '-q', '-m', content);
+  return git(dir, 'rev-parse', 'HEAD');
+}
+
+// Origin repository with a main branch and a clone of it, like the plugin and E2E clones
+function createRepositories() {
+  const { runner, dir } = createRunner();
+  const origin = path.join(dir, 'origin');
+  fs.mkdirSync(origin);
+  git(origin, 'init', '-q', '-b', 'main');
+  const first = commit(origin, 'first');
+  const clone = path.join(dir, 'clone');
+  git(dir, 'clone', '-q', origin, clone);
+  return { runner, origin, clone, first };
+}
+
+test('branches, tags and pull request refs are checked out', async () => {
+  const { runner, origin, clone, first } = createRepositories();
+  git(origin, 'tag', '-a', 'v1.0', '-m', 'v1.0');
+  git(origin, 'checkout', '-q', '-b', 'feature/cache');
+  const feature = commit(origin, 'feature');
+  git(origin, 'checkout', '-q', 'main');
+  const pullRequest = commit(origin, 'pull request');
+  git(origin, 'update-ref', 'refs/pull/12/head', pullRequest);
+  git(origin, 'reset', '-q', '--hard', first);
+
+  await runner.checkoutRef(clone, 'feature/cache');
+  assert.strictEqual(await runner.getHeadCommit(clone), feature);
+  await runner.checkoutRef(clone, 'v1.0');
+  assert.strictEqual(await runner.getHeadCommit(clone), first);
+  await runner.checkoutRef(clone, 'pull/12/head');
+  assert.strictEqual(await runner.getHeadCommit(clone), pullRequest);
+});
+
+test('a branch named like a commit SHA is checked out as a branch', async () => {
+  const { runner, origin, clone, first } = createRepositories();
+  git(origin, 'checkout', '-q', '-b', 'deadbeef');
+  const branchHead = commit(origin, 'branch');
+  git(origin, 'checkout', '-q', 'main');
+
+  await runner.checkoutRef(clone, 'deadbeef');
+  assert.strictEqual(await runner.getHeadCommit(clone), branchHead);
+  await runner.checkoutRef(clone, first.slice(0, 10));
+  assert.strictEqual(await runner.getHeadCommit(clone), first);
+});
+
+test('a commit only reachable from a pull request is fetched by its SHA', async () => {
+  const { runner, origin, clone, first } = createRepositories();
+  const pullRequest = commit(origin, 'pull request');
+  git(origin, 'update-ref', 'refs/pull/7/head', pullRequest);
+  git(origin, 'reset', '-q', '--hard', first);
+
+  await runner.checkoutRef(clone, pullRequest);
+  assert.strictEqual(await runner.getHeadCommit(clone), pullRequest);
+});
+
+test('refs ending up in git commands are validated', () => {
+  for (const ref of ['develop', 'feature/cache-3.19', 'v3.19.1', 'pull/123/head', 'deadbeef']) {
+    assert.strictEqual(validateRef(ref), ref);
+  }
+  for (const ref of ['--upload-pack=touch', '-b', 'main..develop', 'feature branch', '']) {
+    assert.throws(() => validateRef(ref), /Invalid git ref/);
+  }
+});
+
+test('command line refs are validated', () => {
+  const { refs, isRunOnceCommand, testSuite } = parseCommandLine(['run-once', 'test:e2e:smoke', '--plugin-ref', 'pull/12/head']);
+  assert.deepStrictEqual(refs, { pluginRef: 'pull/12/head' });
+  assert.strictEqual(isRunOnceCommand, true);
+  assert.strictEqual(testSuite, 'test:e2e:smoke');
+  assert.throws(() => parseCommandLine(['--e2e-ref=--upload-pack=touch']), /Invalid git ref/);
+});
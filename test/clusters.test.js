@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeErrorMessage, errorSignature, clusterFailures } = require('../auto-e2e');
+
+test('the numbers of selectors, URL ids and queries and line numbers are replaced', () => {
+  assert.strictEqual(
+    normalizeErrorMessage('locator.click: Timeout 30000ms exceeded waiting for li:nth-child(3) > .wpr-btn-2[data-id="12"]'),
+    'locator.click: Timeout 30000ms exceeded waiting for li:nth-child(<id>) > .wpr-btn-<id>[data-id="<id>"]',
+  );
+  assert.strictEqual(errorSignature('#post-12 is not visible'), errorSignature('#post-13 is not visible'));
+  assert.strictEqual(errorSignature('Element .wpr-btn-2 not found'), errorSignature('Element .wpr-btn-3 not found'));
+  assert.strictEqual(
+    normalizeErrorMessage('GET http://e2e.test/wp-json/wp/v2/posts/12?_wpnonce=1f2e#top returned 500'),
+    'GET http://e2e.test/wp-json/wp/v2/posts/<id>?<query> returned 500',
+  );
+  assert.strictEqual(errorSignature('Page http://e2e.test/?p=12 not cached'), errorSignature('Page http://e2e.test/?p=13 not cached'));
+  assert.strictEqual(normalizeErrorMessage('Error in features/steps/cache.ts:12:5'), 'Error in features/steps/cache.ts:<line>');
+  assert.strictEqual(
+    errorSignature('PHP Fatal error in /var/www/wp-rocket/inc/Engine.php on line 42'),
+    errorSignature('PHP Fatal error in /var/www/wp-rocket/inc/Engine.php on line 57'),
+  );
+});
+
+test('versions and counts are kept', () => {
+  assert.strictEqual(normalizeErrorMessage('Expected WP Rocket 3.19 to be active'), 'Expected WP Rocket 3.19 to be active');
+  assert.notStrictEqual(errorSignature('Expected WP Rocket 3.19 to be active'), errorSignature('Expected WP Rocket 3.18 to be active'));
+  assert.notStrictEqual(errorSignature('Expected 3 cached pages, got 2'), errorSignature('Expected 3 cached pages, got 0'));
+});
+
+test('volatile tokens are replaced by placeholders', () => {
+  assert.strictEqual(
+    normalizeErrorMessage('Request 3f2a1b9c-0d4e-4f5a-8b6c-7d8e9f0a1b2c for nonce a1b2c3d4e5 failed'),
+    'Request <id> for nonce <id> failed',
+  );
+  assert.strictEqual(
+    normalizeErrorMessage('Log at 2026-10-19T10:12:01.123Z (10:12:01), started 1760868721123'),
+    'Log at <time> (<time>), started <time>',
+  );
+  assert.strictEqual(
+    normalizeErrorMessage('connect ECONNREFUSED 127.0.0.1:45678 from http://localhost:8080/wp-admin'),
+    'connect ECONNREFUSED 127.0.0.1:<port> from http://localhost:<port>/wp-admin',
+  );
+  assert.strictEqual(
+    normalizeErrorMessage("ENOENT: no such file '/tmp/playwright-artifacts-Xy12ab/trace.zip'"),
+    "ENOENT: no such file '<tmp>'",
+  );
+  // Short hex-looking words and words without digits are not ids
+  assert.strictEqual(normalizeErrorMessage('deadbeef cafe 1a2b'), 'deadbeef cafe 1a2b');
+});
+
+test('only the first lines without the stack trace are kept', () => {
+  const message = '\u001b[31mError: Timeout\u001b[39m\n\n    at Page.click (/home/e2e/node_modules/playwright/lib/page.js:12:5)\n    at World.step (steps.ts:40:3)';
+  assert.strictEqual(normalizeErrorMessage(message), 'Error: Timeout');
+  assert.strictEqual(errorSignature(message), errorSignature('Error: Timeout\n    at other (file.js:1:1)'));
+  assert.strictEqual(errorSignature(null), null);
+});
+
+test('failures are grouped by signature, largest groups first', () => {
+  const testCase = (testName, errorMessage, extra = {}) => ({
+    feature_name: 'Cache', test_name: testName, status: 'failed', error_message: errorMessage, error_signature: errorSignature(errorMessage), ...extra,
+  });
+  const clusters = clusterFailures([
+    testCase('Preload', 'Element .wpr-btn-2 not found'),
+    testCase('Minify', 'Timeout at 10:00:01 on http://localhost:8080'),
+    testCase('Lazyload', 'Timeout at 11:30:45 on http://localhost:9090'),
+    testCase('Delay JS', 'Timeout at 11:30:45 on http://localhost:9090', { quarantined: true }),
+    { ...testCase('Clear cache', null), status: 'skipped' },
+  ]);
+  assert.deepStrictEqual(clusters.map(cluster => [cluster.summary, cluster.testNames]), [
+    ['Timeout at <time> on http://localhost:<port>', ['Cache - Minify', 'Cache - Lazyload']],
+    ['Element .wpr-btn-<id> not found', ['Cache - Preload']],
+    ['No error message (skipped or undefined steps)', ['Cache - Clear cache']],
+  ]);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { CONFIG } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+// GET (or another method) on the dashboard, resolving with the status, type and body whatever the status
+function request(port, pathname, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, method }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function startDashboard(t) {
+  const { runner, dir } = createRunner();
+  CONFIG.DASHBOARD_PORT = 0; // Any free port
+  runner.startDashboard();
+  await new Promise(resolve => runner.dashboard.once('listening', resolve));
+  t.after(() => runner.dashboard.close());
+  return { runner, dir, port: runner.dashboard.address().port };
+}
+
+test('the status and the last runs are served as JSON, the most recent first', async (t) => {
+  const { runner, port } = await startDashboard(t);
+  Object.assign(runner, { state: 'running', currentStep: 'Run tests', currentSuite: 'test:e2e', jobQueue: [{ name: 'nightly' }] });
+  fs.mkdirSync(CONFIG.RESULTS_DIR, { recursive: true });
+  fs.writeFileSync(CONFIG.HISTORY_FILE, [
+    { testSuite: 'test:e2e', timestamp: '2026-10-18T10:00:00.000Z', scenarios: { 'Cache - Preload': 'passed' } },
+    { testSuite: 'test:e2e', timestamp: '2026-10-19T10:00:00.000Z', scenarios: { 'Cache - Preload': 'failed', 'Cache - Minify': 'passed' }, durations: { 'Cache - Minify': 12.5 } },
+  ].map(run => JSON.stringify(run)).join('\n') + '\n');
+
+  const status = JSON.parse((await request(port, '/api/status')).body);
+  assert.strictEqual(status.state, 'running');
+  assert.strictEqual(status.step, 'Run tests');
+  assert.deepStrictEqual(status.queuedJobs, ['nightly']);
+
+  const runs = JSON.parse((await request(port, '/api/runs')).body);
+  assert.deepStrictEqual(runs.map(run => [run.timestamp, run.totalTests, run.failedTests]), [
+    ['2026-10-19T10:00:00.000Z', 2, 1],
+    ['2026-10-18T10:00:00.000Z', 1, 0],
+  ]);
+  assert.strictEqual(runs[0].scenarios, undefined);
+  assert.strictEqual(runs[0].durations, undefined);
+  assert.strictEqual(JSON.parse((await request(port, '/api/runs?limit=1')).body).length, 1);
+
+  const page = await request(port, '/');
+  assert.strictEqual(page.type, 'text/html; charset=utf-8');
+  assert.match(page.body, /2026-10-19T10:00:00\.000Z/);
+});
+
+test('result files are served, and nothing outside of the results folder', async (t) => {
+  const { dir, port } = await startDashboard(t);
+  fs.mkdirSync(path.join(CONFIG.RESULTS_DIR, '2026-10-19_10-00-00'), { recursive: true });
+  fs.writeFileSync(path.join(CONFIG.RESULTS_DIR, '2026-10-19_10-00-00', 'cucumber-report.html'), '<h1>Report</h1>');
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+
+  const report = await request(port, '/results/2026-10-19_10-00-00/cucumber-report.html');
+  assert.deepStrictEqual([report.status, report.type, report.body], [200, 'text/html; charset=utf-8', '<h1>Report</h1>']);
+
+  for (const pathname of ['/results/..%2F..%2Fsecret.txt', '/results/2026-10-19_10-00-00', '/results/missing.html', '/unknown']) {
+    assert.strictEqual((await request(port, pathname)).status, 404, pathname);
+  }
+  assert.strictEqual((await request(port, '/api/status', 'POST')).status, 405);
+});
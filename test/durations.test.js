@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, median, findSlowestTestCases, findSlowTests, formatDuration } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+function testCase(testName, status, duration) {
+  return { feature_name: 'Cache', test_name: testName, status, duration };
+}
+
+// Previous run where each scenario passed in the given number of seconds
+function passedRun(durations) {
+  return {
+    scenarios: Object.fromEntries(Object.keys(durations).map(name => [name, 'passed'])),
+    durations,
+  };
+}
+
+test('durations are summarized and formatted', () => {
+  assert.strictEqual(median([30, 10, 20]), 20);
+  assert.strictEqual(median([40, 10, 20, 30]), 25);
+  assert.strictEqual(formatDuration(65.4), '1m 05s');
+  assert.strictEqual(formatDuration(3 * 3600 + 7 * 60), '3h 07m');
+});
+
+test('the slowest scenarios are listed whatever their status', () => {
+  const slowest = findSlowestTestCases([
+    testCase('Preload', 'failed', 90), testCase('Minify', 'passed', 30), testCase('Lazyload', 'passed', 0), testCase('Clear cache', 'passed', 60),
+  ], 2);
+  assert.deepStrictEqual(slowest, [{ name: 'Cache - Preload', duration: 90 }, { name: 'Cache - Clear cache', duration: 60 }]);
+});
+
+test('passing scenarios much slower than their median are flagged', () => {
+  Object.assign(CONFIG, { SLOW_FACTOR: 1.5, SLOW_MIN_SECONDS: 10, SLOW_MIN_SAMPLES: 3, SLOW_HISTORY_RUNS: 10 });
+  const history = [
+    passedRun({ 'Cache - Preload': 20, 'Cache - Minify': 2, 'Cache - Clear cache': 20 }),
+    passedRun({ 'Cache - Preload': 22, 'Cache - Minify': 2, 'Cache - Clear cache': 20 }),
+    { scenarios: { 'Cache - Preload': 'failed' }, durations: { 'Cache - Preload': 300 } },
+    passedRun({ 'Cache - Preload': 18, 'Cache - Minify': 2 }),
+  ];
+  const slowTests = findSlowTests(history, [
+    testCase('Preload', 'passed', 60), // ×3, 40 s more
+    testCase('Minify', 'passed', 8), // ×4 but only 6 s more
+    testCase('Clear cache', 'passed', 60), // Only 2 passing samples
+    testCase('Lazyload', 'failed', 600),
+  ]);
+  assert.deepStrictEqual(slowTests, [{ name: 'Cache - Preload', duration: 60, median: 20, ratio: 3 }]);
+});
+
+test('step durations are added up per phase', async () => {
+  const { runner } = createRunner();
+  runner.phaseDurations = {};
+  await runner.runStep('compile', () => new Promise(resolve => setTimeout(resolve, 120)));
+  await runner.runStep('move', () => new Promise(resolve => setTimeout(resolve, 120)));
+  await assert.rejects(runner.runStep('test', async () => { throw new Error('npm not found'); }), { name: 'StepError', step: 'test' });
+
+  assert.deepStrictEqual(Object.keys(runner.phaseDurations), ['compile', 'test']);
+  assert.ok(runner.phaseDurations.compile >= 0.2 && runner.phaseDurations.compile < 1);
+});
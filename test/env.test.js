@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, loadEnv } = require('../auto-e2e');
+const { createRunner, createTempDir } = require('./helpers');
+
+test('.env values keep their = signs', () => {
+  const envPath = path.join(createTempDir(), '.env');
+  fs.writeFileSync(envPath, [
+    'AUTO_E2E_TEST_URL=https://datator.example.com/api?key=abc==',
+    ' AUTO_E2E_TEST_TRIMMED = value ',
+    'AUTO_E2E_TEST_EMPTY=',
+    '# AUTO_E2E_TEST_COMMENTED',
+    '',
+  ].join('\n'));
+  loadEnv(envPath);
+
+  assert.strictEqual(process.env.AUTO_E2E_TEST_URL, 'https://datator.example.com/api?key=abc==');
+  assert.strictEqual(process.env.AUTO_E2E_TEST_TRIMMED, 'value');
+  assert.strictEqual(process.env.AUTO_E2E_TEST_EMPTY, undefined);
+  assert.strictEqual(process.env['# AUTO_E2E_TEST_COMMENTED'], undefined);
+});
+
+async function runDatabaseCheck(command) {
+  const { runner } = createRunner();
+  CONFIG.PREFLIGHT_CHECKS = ['database'];
+  CONFIG.DB_CHECK_COMMAND = command;
+  const [result] = await runner.runPreflightChecks();
+  return result;
+}
+
+test('the database check runs a JSON argv array without a shell', async () => {
+  const script = "process.exit(process.argv[1] === '--password=p a$s' ? 0 : 3)";
+  let result = await runDatabaseCheck(JSON.stringify([process.execPath, '-e', script, '--', '--password=p a$s']));
+  assert.strictEqual(result.ok, true);
+
+  result = await runDatabaseCheck(JSON.stringify([process.execPath, '-e', script, 'other']));
+  assert.strictEqual(result.ok, false);
+  assert.match(result.message, /exited with code 3$/);
+});
+
+test('a database check command that is not a JSON argv array fails the check', async () => {
+  for (const command of ['mysqladmin ping -h 127.0.0.1', '[]', '["mysqladmin", 1]', '"mysqladmin"']) {
+    const result = await runDatabaseCheck(command);
+    assert.strictEqual(result.ok, false);
+    assert.match(result.message, /must be a JSON array of strings/);
+  }
+  assert.strictEqual((await runDatabaseCheck('')).skipped, true);
+});
@@ -0,0 +1,57 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG, AutoE2ERunner } = require('../auto-e2e');
+
+// Temporary directory, removed when the test process exits
+function createTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-e2e-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Point the files and folders of CONFIG to a temporary base directory. Each test file runs in its
+// own process, so the changes do not leak into the other files.
+function useTempBaseDir() {
+  const dir = createTempDir();
+  // HISTORY_FILE and ARCHIVE_DIR follow RESULTS_DIR
+  Object.assign(CONFIG, {
+    WORK_DIR: dir,
+    E2E_DIR: path.join(dir, 'wp-rocket-e2e'),
+    PLUGIN_DIR: path.join(dir, 'wp-rocket-e2e', 'plugin'),
+    RESULTS_DIR: path.join(dir, 'wp-rocket-e2e', 'test-results-storage'),
+    STATE_FILE: path.join(dir, '.auto-e2e-state.json'),
+    OUTBOX_DIR: path.join(dir, 'auto-e2e-outbox'),
+    OUTBOX_DEAD_DIR: path.join(dir, 'auto-e2e-outbox', 'dead'),
+    LOCK_FILE: path.join(dir, '.auto-e2e.lock'),
+    QUEUE_DIR: path.join(dir, 'auto-e2e-queue'),
+    LOG_FILE: path.join(dir, 'auto-e2e.log'),
+    CYCLE_LOG_DIR: path.join(dir, 'auto-e2e-cycle-logs'),
+  });
+  return dir;
+}
+
+// Runner working in a temporary base directory, its log lines are collected instead of printed
+function createRunner() {
+  const dir = useTempBaseDir();
+  const runner = new AutoE2ERunner();
+  runner.logged = [];
+  runner.log = (message, level = 'info') => runner.logged.push({ message, level });
+  return { runner, dir };
+}
+
+// Run a git command in a repository, committing as a test author
+function git(dir, ...args) {
+  return execFileSync('git', args, {
+    cwd: dir,
+    encoding: 'utf8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com',
+    },
+  }).trim();
+}
+
+module.exports = { createTempDir, useTempBaseDir, createRunner, git };
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { CONFIG, diffWithHistory } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+function run(timestamp, scenarios) {
+  return { testSuite: 'test:e2e', timestamp, scenarios };
+}
+
+function testCase(name, status, extra = {}) {
+  const [featureName, testName] = name.split(' - ');
+  return { feature_name: featureName, test_name: testName, status, ...extra };
+}
+
+test('a run without previous run has no diff', () => {
+  assert.strictEqual(diffWithHistory([], [testCase('Cache - Preload', 'failed')]), null);
+});
+
+test('new failures, fixed and still failing scenarios are found', () => {
+  const history = [
+    run('2026-10-17T10:00:00.000Z', { 'Cache - Minify': 'passed', 'Cache - Lazyload': 'failed', 'Cache - Preload': 'passed' }),
+    run('2026-10-18T10:00:00.000Z', { 'Cache - Minify': 'failed', 'Cache - Lazyload': 'skipped', 'Cache - Preload': 'passed' }),
+  ];
+  const diff = diffWithHistory(history, [
+    testCase('Cache - Minify', 'passed'),
+    testCase('Cache - Lazyload', 'failed'),
+    testCase('Cache - Preload', 'failed'),
+    testCase('Cache - Delay JS', 'failed'),
+  ]);
+
+  assert.deepStrictEqual(diff.fixed, [{ name: 'Cache - Minify' }]);
+  assert.deepStrictEqual(diff.newFailures, [{ name: 'Cache - Preload' }, { name: 'Cache - Delay JS' }]);
+  assert.deepStrictEqual(diff.stillFailing, [
+    { name: 'Cache - Lazyload', failingRuns: 3, failingSince: '2026-10-17T10:00:00.000Z' },
+  ]);
+});
+
+test('quarantined scenarios are left out of the diff', () => {
+  const history = [run('2026-10-18T10:00:00.000Z', { 'Cache - Preload': 'passed' })];
+  const diff = diffWithHistory(history, [testCase('Cache - Preload', 'failed', { quarantined: true })]);
+  assert.deepStrictEqual(diff, { newFailures: [], fixed: [], stillFailing: [] });
+});
+
+test('the history store is filtered by suite and skips truncated lines', async () => {
+  const { runner } = createRunner();
+  await runner.appendRunHistory(run('2026-10-18T10:00:00.000Z', {}));
+  await runner.appendRunHistory({ ...run('2026-10-18T11:00:00.000Z', {}), testSuite: 'test:e2e:smoke' });
+  fs.appendFileSync(CONFIG.HISTORY_FILE, '{"testSuite":"test:e2e","timest');
+
+  assert.strictEqual((await runner.readRunHistory()).length, 2);
+  assert.deepStrictEqual((await runner.readRunHistory('test:e2e')).map(entry => entry.timestamp), ['2026-10-18T10:00:00.000Z']);
+});
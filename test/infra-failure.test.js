@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, StepError } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+function commandError(message, fields) {
+  return Object.assign(new Error(message), fields);
+}
+
+test('a step error keeps the command details and the end of stderr', () => {
+  const stderr = Array.from({ length: 40 }, (value, index) => `line ${index + 1}`).join('\n');
+  const error = StepError.fromError('compile', commandError(`Command failed: bash compile.sh\n${stderr}`, {
+    command: 'bash compile.sh', code: 2, stderr, timedOut: false,
+  }));
+
+  assert.strictEqual(error.step, 'compile');
+  assert.strictEqual(error.message, 'Command failed: bash compile.sh');
+  assert.strictEqual(error.command, 'bash compile.sh');
+  assert.strictEqual(error.exitCode, 2);
+  assert.ok(error.stderrTail.endsWith('line 40'));
+  assert.ok(!error.stderrTail.includes('line 1\n'));
+  assert.strictEqual(StepError.fromError('test', error), error);
+  assert.strictEqual(StepError.fromError('move', new Error('ENOENT')).exitCode, null);
+});
+
+test('failures differing only by SHAs, numbers and timestamps share a signature', () => {
+  const failure = (sha, time) => new StepError('plugin update', `Command failed: git fetch origin ${sha} at ${time}`, {
+    command: `git fetch origin ${sha}`, exitCode: 128,
+  });
+  assert.strictEqual(failure('1a2b3c4d', '10:00:01').signature, failure('9f8e7d6c5b', '11:30:12').signature);
+  assert.notStrictEqual(failure('1a2b3c4d', '10:00:01').signature, new StepError('e2e update', 'Command failed: git fetch origin 1a2b3c4d at 10:00:01', {
+    command: 'git fetch origin 1a2b3c4d', exitCode: 128,
+  }).signature);
+
+  const preflight = checks => new StepError('preflight', '1 preflight check(s) failed', { checks });
+  assert.notStrictEqual(preflight([{ name: 'disk' }]).signature, preflight([{ name: 'site' }]).signature);
+});
+
+test('a repeated infra failure is only alerted again after the repeat interval', async () => {
+  CONFIG.INFRA_ALERT_REPEAT_INTERVAL = 60 * 60 * 1000;
+  const { runner } = createRunner();
+  runner.notified = [];
+  runner.notify = async result => { runner.notified.push(result); };
+  runner.sendSlackNotice = async () => {};
+  const error = new StepError('compile', 'Command failed: bash compile.sh', { exitCode: 1 });
+
+  const alerts = () => runner.notified.map(result => !result.infraFailure.alertSuppressed);
+
+  // Every occurrence is notified (and recorded in Datator), the repeated Slack alert is suppressed
+  await runner.reportInfraFailure('test:e2e', error);
+  await runner.reportInfraFailure('test:e2e', error);
+  assert.deepStrictEqual(alerts(), [true, false]);
+  assert.strictEqual(runner.notified[0].outcome, 'infra_failure');
+  assert.strictEqual(runner.notified[1].infraFailure.failure.occurrences, 2);
+  let { infraFailure } = (await runner.readRunState())['test:e2e'];
+  assert.strictEqual(infraFailure.occurrences, 2);
+
+  // Another failure is alerted right away
+  await runner.reportInfraFailure('test:e2e', new StepError('test', 'Could not start the test run'));
+  assert.deepStrictEqual(alerts(), [true, false, true]);
+  assert.strictEqual(runner.notified[2].previousOutcome, 'infra_failure');
+
+  CONFIG.INFRA_ALERT_REPEAT_INTERVAL = 0;
+  await runner.reportInfraFailure('test:e2e', new StepError('test', 'Could not start the test run'));
+  assert.deepStrictEqual(alerts(), [true, false, true, true]);
+
+  // The recovery clears it
+  assert.strictEqual((await runner.clearInfraFailure('test:e2e')).occurrences, 2);
+  ({ infraFailure } = (await runner.readRunState())['test:e2e']);
+  assert.strictEqual(infraFailure, undefined);
+});
+
+test('infra failure alerts are posted by the Slack bot in the channel of the notifier', async () => {
+  Object.assign(CONFIG, { SLACK_WEBHOOK_URL: '', SLACK_BOT_TOKEN: 'xoxb-token', SLACK_CHANNEL: 'C0QA', INSTANCE_NAME: '' });
+  const { runner } = createRunner();
+  const deliveries = [];
+  runner.queueDelivery = async (type, payload) => { deliveries.push({ type, payload }); };
+  const infraFailure = {
+    error: new StepError('compile', 'Command failed: bash compile.sh', { command: 'bash compile.sh', exitCode: 1 }),
+    failure: { occurrences: 1, firstSeenAt: new Date().toISOString() },
+  };
+
+  await runner.notifySlack({ testSuite: 'test:e2e', infraFailure }, { name: 'slack' });
+  await runner.notifySlack({ testSuite: 'test:e2e', infraFailure }, { name: 'slack', channel: 'C0ROCKET' });
+  assert.deepStrictEqual(deliveries.map(delivery => [delivery.type, delivery.payload.channel]), [
+    ['slack-report', undefined],
+    ['slack-report', 'C0ROCKET'],
+  ]);
+  assert.match(deliveries[0].payload.text, /infrastructure failure\* during \*compile\*/);
+  assert.strictEqual(deliveries[0].payload.blocks, null);
+
+  // Suppressed repeats are not posted
+  await runner.notifySlack({ testSuite: 'test:e2e', infraFailure: { ...infraFailure, alertSuppressed: true } }, { name: 'slack' });
+  assert.strictEqual(deliveries.length, 2);
+
+  // Posted as a plain text message
+  const posted = [];
+  runner.postSlackApi = async (method, payload) => { posted.push(payload); return { ok: true, ts: '1.2' }; };
+  await runner.postSlackReport(deliveries[1].payload);
+  assert.deepStrictEqual(posted, [{ channel: 'C0ROCKET', text: deliveries[1].payload.text }]);
+});
+
+test('results failing to be saved are an infra failure of the save step, not a run without results', async () => {
+  const { runner } = createRunner();
+  fs.mkdirSync(path.join(CONFIG.E2E_DIR, 'test-results'), { recursive: true });
+  fs.writeFileSync(path.join(CONFIG.E2E_DIR, 'test-results', 'cucumber-report.json'), '[]');
+  fs.writeFileSync(CONFIG.RESULTS_DIR, 'not a directory');
+  runner.isRunning = true;
+  runner.cloneOrUpdatePlugin = async () => 'a'.repeat(40);
+  runner.updateE2ERepo = async () => 'b'.repeat(40);
+  runner.runPreflightChecks = async () => [];
+  runner.zipPlugin = async () => 'wp-rocket.zip';
+  runner.moveZipToPlugin = async () => {};
+  runner.runE2ETests = async () => ({ code: 0, timedOut: false });
+  runner.reported = [];
+  runner.reportInfraFailure = async (testSuite, error) => { runner.reported.push(error); };
+
+  assert.strictEqual(await runner.runCycle('test:e2e', { oneOff: true }), 'infra_failure');
+  const [error] = runner.reported;
+  assert.ok(error instanceof StepError);
+  assert.strictEqual(error.step, 'save');
+  assert.match(error.message, /ENOTDIR|EEXIST/);
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const { CONFIG } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+function writeLock(holder) {
+  fs.writeFileSync(CONFIG.LOCK_FILE, JSON.stringify({ hostname: os.hostname(), startedAt: '2026-10-19T10:00:00.000Z', ...holder }));
+}
+
+// Process whose command line looks like an auto-e2e instance, stopped by the test
+function startFakeInstance() {
+  return spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)', 'auto-e2e.js'], { stdio: 'ignore' });
+}
+
+test('the lock is taken and released by its holder only', async () => {
+  const { runner } = createRunner();
+  await runner.acquireLock();
+  const holder = JSON.parse(fs.readFileSync(CONFIG.LOCK_FILE, 'utf8'));
+  assert.strictEqual(holder.pid, process.pid);
+  assert.strictEqual(holder.workDir, CONFIG.WORK_DIR);
+
+  runner.releaseLock();
+  assert.strictEqual(fs.existsSync(CONFIG.LOCK_FILE), false);
+
+  // A lock taken over by another process is left alone
+  await runner.acquireLock();
+  writeLock({ pid: process.pid + 1 });
+  runner.releaseLock();
+  assert.strictEqual(fs.existsSync(CONFIG.LOCK_FILE), true);
+});
+
+test('a lock held by a running instance is not taken', async () => {
+  const { runner } = createRunner();
+  const instance = startFakeInstance();
+  try {
+    writeLock({ pid: instance.pid, command: 'schedule' });
+    await assert.rejects(runner.acquireLock(), /Another auto-e2e instance holds .*pid \d+ .*\(schedule\)/);
+    // Instances of other hosts cannot be checked, they are considered running
+    writeLock({ pid: 1, hostname: 'other-host' });
+    await assert.rejects(runner.acquireLock(), /Another auto-e2e instance/);
+  } finally {
+    instance.kill();
+  }
+});
+
+test('stale and unreadable locks are replaced', async () => {
+  const { runner } = createRunner();
+  const instance = startFakeInstance();
+  instance.kill();
+  await new Promise(resolve => instance.on('exit', resolve));
+
+  writeLock({ pid: instance.pid });
+  await runner.acquireLock();
+  assert.strictEqual(JSON.parse(fs.readFileSync(CONFIG.LOCK_FILE, 'utf8')).pid, process.pid);
+  runner.releaseLock();
+
+  fs.writeFileSync(CONFIG.LOCK_FILE, '{"pid": 12');
+  await runner.acquireLock();
+  assert.strictEqual(JSON.parse(fs.readFileSync(CONFIG.LOCK_FILE, 'utf8')).pid, process.pid);
+  runner.releaseLock();
+});
+
+test('waiting for the lock takes it once released', async () => {
+  CONFIG.LOCK_WAIT_INTERVAL = 50;
+  const { runner } = createRunner();
+  const instance = startFakeInstance();
+  try {
+    writeLock({ pid: instance.pid });
+    setTimeout(() => fs.rmSync(CONFIG.LOCK_FILE), 200);
+    await runner.acquireLock(true);
+    assert.strictEqual(runner.hasLock, true);
+    assert.ok(runner.logged.some(entry => /^Waiting for the auto-e2e instance/.test(entry.message)));
+  } finally {
+    instance.kill();
+    runner.releaseLock();
+  }
+});
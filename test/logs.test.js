@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, AutoE2ERunner } = require('../auto-e2e');
+const { useTempBaseDir } = require('./helpers');
+
+const day = 24 * 60 * 60 * 1000;
+
+// Runner writing its log to a temporary directory, without printing it
+function createLoggingRunner() {
+  const dir = useTempBaseDir();
+  const runner = new AutoE2ERunner();
+  const { log, error } = console;
+  runner.log = (...args) => {
+    console.log = console.error = () => {};
+    try {
+      AutoE2ERunner.prototype.log.apply(runner, args);
+    } finally {
+      Object.assign(console, { log, error });
+    }
+  };
+  return { runner, dir };
+}
+
+function readLogFiles(dir) {
+  return fs.readdirSync(dir).filter(name => name.startsWith('auto-e2e.log')).sort();
+}
+
+test('log entries are JSON lines with the context of the cycle and without secrets', () => {
+  const { runner } = createLoggingRunner();
+  CONFIG.DATATOR_API_KEY = 'datator-key';
+  Object.assign(runner, { cycleId: '5c88bc27', currentSuite: 'test:e2e', currentStep: 'Compile plugin' });
+  runner.log('Posting with datator-key', 'warn');
+
+  const entry = JSON.parse(fs.readFileSync(CONFIG.LOG_FILE, 'utf8'));
+  assert.strictEqual(entry.level, 'warn');
+  assert.strictEqual(entry.message, 'Posting with ***');
+  assert.strictEqual(entry.cycle, '5c88bc27');
+  assert.strictEqual(entry.suite, 'test:e2e');
+  assert.strictEqual(entry.step, 'Compile plugin');
+  assert.strictEqual(entry.pid, process.pid);
+});
+
+test('the log is rotated when too big, and only the last rotated files are kept', () => {
+  const { runner, dir } = createLoggingRunner();
+  Object.assign(CONFIG, { LOG_MAX_BYTES: 400, LOG_MAX_FILES: 2 });
+  for (let index = 0; index < 12; index++) {
+    runner.log(`Entry ${index} ${'x'.repeat(100)}`);
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const files = readLogFiles(dir);
+  assert.strictEqual(files.length, 3);
+  assert.ok(files.includes('auto-e2e.log'));
+  assert.ok(files.filter(name => name.startsWith(`auto-e2e.log.${today}`)).length === 2);
+  assert.ok(fs.statSync(CONFIG.LOG_FILE).size <= 400);
+});
+
+test('the log is rotated when the day changes', () => {
+  const { runner, dir } = createLoggingRunner();
+  Object.assign(CONFIG, { LOG_MAX_BYTES: 0, LOG_MAX_FILES: 14 });
+  fs.writeFileSync(CONFIG.LOG_FILE, '{"message":"yesterday"}\n');
+  const yesterday = new Date(Date.now() - day);
+  fs.utimesSync(CONFIG.LOG_FILE, yesterday, yesterday);
+
+  runner.log('today');
+  assert.deepStrictEqual(readLogFiles(dir), ['auto-e2e.log', `auto-e2e.log.${yesterday.toISOString().slice(0, 10)}`]);
+});
+
+test('test outputs of runs without results are deleted after the failed runs retention', async () => {
+  const { runner } = createLoggingRunner();
+  Object.assign(CONFIG, { RETENTION_FAILED_DAYS: 14 });
+  fs.mkdirSync(CONFIG.CYCLE_LOG_DIR, { recursive: true });
+  for (const [name, ageDays] of [['old.log', 20], ['recent.log', 2]]) {
+    const file = path.join(CONFIG.CYCLE_LOG_DIR, name);
+    fs.writeFileSync(file, 'npm run test:e2e');
+    const time = new Date(Date.now() - ageDays * day);
+    fs.utimesSync(file, time, time);
+  }
+
+  // Without any results folder yet
+  await runner.applyRetentionPolicy();
+  assert.deepStrictEqual(fs.readdirSync(CONFIG.CYCLE_LOG_DIR), ['recent.log']);
+
+  CONFIG.RETENTION_FAILED_DAYS = 0;
+  fs.utimesSync(path.join(CONFIG.CYCLE_LOG_DIR, 'recent.log'), new Date(0), new Date(0));
+  await runner.applyRetentionPolicy();
+  assert.deepStrictEqual(fs.readdirSync(CONFIG.CYCLE_LOG_DIR), ['recent.log']);
+});
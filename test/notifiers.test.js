@@ -0,0 +1,322 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const {
+  CONFIG, AutoE2ERunner, sendMail, loadNotifiers, NOTIFIER_RULES, notifierMatches, formatWebhookPayload, summarizeTestCases,
+} = require('../auto-e2e');
+const { createTempDir, createRunner } = require('./helpers');
+
+function writeNotifiers(dir, content) {
+  const file = path.join(dir, `notifiers-${Math.random().toString(36).slice(2)}.js`);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('notifiers get defaults for their name, state, routing and rule', () => {
+  const file = writeNotifiers(createTempDir(), `module.exports = [
+    { type: 'slack' },
+    { type: 'email', name: 'backwpup-team', to: 'qa@example.com', enabled: false, suites: '^test:e2e$', products: ['backwpup'], when: 'change' },
+  ];`);
+  const [slack, email] = loadNotifiers(file);
+  assert.deepStrictEqual(slack, { type: 'slack', name: 'slack', enabled: true, suites: null, products: null, when: 'always' });
+  assert.strictEqual(email.name, 'backwpup-team');
+  assert.strictEqual(email.enabled, false);
+  assert.ok(email.suites.test('test:e2e') && !email.suites.test('test:e2e:smoke'));
+  assert.strictEqual(email.when, 'change');
+});
+
+test('invalid notifiers files are rejected with the faulty entry', () => {
+  const dir = createTempDir();
+  const errors = [
+    ['module.exports = { type: "slack" };', /Notifiers file is invalid/],
+    ['module.exports = [{ type: "teams" }];', /Notifier "teams" has an unknown type: teams/],
+    ['module.exports = [{ type: "webhook" }];', /Notifier "webhook" is missing fields: url/],
+    ['module.exports = [{ type: "email", to: "a@example.com" }, { type: "email", to: "b@example.com" }];', /Notifier name "email" is used twice/],
+    ['module.exports = [{ type: "slack", when: "sometimes" }];', /Notifier "slack" has an unknown rule: sometimes/],
+    ['module.exports = [', /SyntaxError|Unexpected end of input/],
+  ];
+  for (const [content, error] of errors) {
+    assert.throws(() => loadNotifiers(writeNotifiers(dir, content)), error);
+  }
+});
+
+test('the notifiers file is read again after an edit', () => {
+  const file = writeNotifiers(createTempDir(), 'module.exports = [{ type: "slack" }];');
+  assert.deepStrictEqual(loadNotifiers(file).map(notifier => notifier.type), ['slack']);
+  fs.writeFileSync(file, 'module.exports = [{ type: "datator" }];');
+  assert.deepStrictEqual(loadNotifiers(file).map(notifier => notifier.type), ['datator']);
+});
+
+test('notifiers are routed by suite and product, and sent according to their rule', () => {
+  const notifier = { enabled: true, suites: /^test:e2e$/, products: ['wp_rocket'] };
+  assert.ok(notifierMatches(notifier, { testSuite: 'test:e2e', product: 'wp_rocket' }));
+  assert.ok(!notifierMatches(notifier, { testSuite: 'test:e2e:smoke', product: 'wp_rocket' }));
+  assert.ok(!notifierMatches(notifier, { testSuite: 'test:e2e', product: 'backwpup' }));
+  assert.ok(!notifierMatches({ ...notifier, enabled: false }, { testSuite: 'test:e2e', product: 'wp_rocket' }));
+
+  assert.ok(NOTIFIER_RULES.always({ outcome: 'passed', previousOutcome: 'passed' }));
+  assert.ok(!NOTIFIER_RULES.failure({ outcome: 'passed' }));
+  assert.ok(NOTIFIER_RULES.failure({ outcome: 'timeout' }));
+  assert.ok(!NOTIFIER_RULES.change({ outcome: 'failed', previousOutcome: 'failed' }));
+  assert.ok(NOTIFIER_RULES.change({ outcome: 'passed', previousOutcome: 'failed' }));
+});
+
+test('the webhook payload of an infrastructure failure lists the failed checks', () => {
+  const payload = formatWebhookPayload({
+    testSuite: 'test:e2e',
+    product: 'wp_rocket',
+    outcome: 'infra_failure',
+    infraFailure: {
+      error: { step: 'Preflight checks', message: 'Database unreachable', checks: [{ name: 'database', message: 'Connection refused', ok: false }] },
+      failure: { occurrences: 2, firstSeenAt: '2026-10-19T10:00:00.000Z' },
+    },
+  });
+  assert.strictEqual(payload.total_tests, 0);
+  assert.deepStrictEqual(payload.failed_test_names, []);
+  assert.deepStrictEqual(payload.infra_failure.failed_checks, [{ name: 'database', message: 'Connection refused' }]);
+  assert.strictEqual(payload.infra_failure.occurrences, 2);
+});
+
+test('an invalid notifiers file does not stop the CLI commands, and is reported when notifying', async () => {
+  const { runner, dir } = createRunner();
+  CONFIG.NOTIFIERS_FILE = writeNotifiers(dir, 'module.exports = [{ type: "slack" }];');
+  await runner.notify({ testSuite: 'test:e2e', outcome: 'infra_failure' }, 'nobody');
+  assert.deepStrictEqual(runner.notifiers.map(notifier => notifier.name), ['slack']);
+
+  fs.writeFileSync(CONFIG.NOTIFIERS_FILE, 'module.exports = [{ type: "teams" }];');
+  assert.doesNotThrow(() => new AutoE2ERunner());
+  await runner.notify({ testSuite: 'test:e2e', outcome: 'infra_failure' }, 'nobody');
+  assert.deepStrictEqual(runner.notifiers.map(notifier => notifier.name), ['slack']);
+  assert.match(runner.logged.at(-1).message, /Invalid notifiers file, using the previous notifiers: Notifier "teams" has an unknown type/);
+  assert.strictEqual(runner.logged.at(-1).level, 'error');
+
+  const { error } = console;
+  const printed = [];
+  console.error = message => printed.push(message);
+  try {
+    assert.strictEqual(await runner.replayRun('2026-10-19_10-00-00'), false);
+  } finally {
+    console.error = error;
+  }
+  assert.match(printed[0], /Invalid notifiers file: Notifier "teams"/);
+});
+
+// HTTP server stand-in recording the requests, closed after the callback
+async function withHttpServer(callback) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await callback(`http://127.0.0.1:${server.address().port}`, requests);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('webhooks are POSTed with their headers, signed with their secret', async () => {
+  const { runner, dir } = createRunner();
+  await withHttpServer(async (url, requests) => {
+    CONFIG.NOTIFIERS_FILE = writeNotifiers(dir, `module.exports = [
+      { type: 'webhook', name: 'qa-dashboard', url: '${url}/hooks/auto-e2e', headers: { Authorization: 'Bearer token' }, secret: 'hook-secret' },
+    ];`);
+    await runner.postWebhook({ notifier: 'qa-dashboard', body: { test_suite: 'test:e2e', outcome: 'failed' } });
+
+    const [request] = requests;
+    assert.strictEqual(request.url, '/hooks/auto-e2e');
+    assert.strictEqual(request.headers.authorization, 'Bearer token');
+    assert.deepStrictEqual(JSON.parse(request.body), { test_suite: 'test:e2e', outcome: 'failed' });
+    const signature = crypto.createHmac('sha256', 'hook-secret').update(request.body).digest('hex');
+    assert.strictEqual(request.headers['x-auto-e2e-signature'], `sha256=${signature}`);
+
+    fs.writeFileSync(CONFIG.NOTIFIERS_FILE, 'module.exports = [];');
+    await assert.rejects(runner.postWebhook({ notifier: 'qa-dashboard', body: {} }), /Notifier qa-dashboard is no longer in/);
+  });
+});
+
+test('commit statuses are set on the tested commit of the product repository', async () => {
+  const { runner } = createRunner();
+  CONFIG.GITHUB_TOKEN = 'github-token';
+  const deliveries = [];
+  runner.queueDelivery = async (type, payload) => deliveries.push({ type, payload });
+  const result = {
+    testSuite: 'test:e2e',
+    outcome: 'failed',
+    productRepo: 'git@github.com:wp-media/wp-rocket.git',
+    pluginCommit: 'a'.repeat(40),
+    reportAnalysis: summarizeTestCases([{ feature_name: 'Cache', test_name: 'Preload', status: 'failed', duration: 1 }]),
+    reportUrl: 'https://e2e.example.com/results/2026-10-19_10-00-00/cucumber-report.html',
+  };
+
+  await runner.notifyGitHubStatus(result, { name: 'github-status' });
+  await runner.notifyGitHubStatus({ ...result, outcome: 'timeout' }, { name: 'github-status', repo: 'wp-media/fork', context: 'e2e' });
+  await runner.notifyGitHubStatus({ ...result, infraFailure: {} }, { name: 'github-status' });
+  await assert.rejects(
+    runner.notifyGitHubStatus({ ...result, productRepo: 'https://gitlab.com/wp-media/wp-rocket.git' }, { name: 'github-status' }),
+    /is not a GitHub repository, set the repo of the notifier/,
+  );
+  assert.deepStrictEqual(deliveries.map(delivery => delivery.payload), [
+    { repo: 'wp-media/wp-rocket', sha: 'a'.repeat(40), state: 'failure', description: 'failed: 0 passed, 1 failed', context: 'auto-e2e/test:e2e', target_url: result.reportUrl },
+    { repo: 'wp-media/fork', sha: 'a'.repeat(40), state: 'error', description: 'timed out: 0 passed, 1 failed', context: 'e2e', target_url: result.reportUrl },
+  ]);
+
+  await withHttpServer(async (url, requests) => {
+    CONFIG.GITHUB_API_URL = url;
+    await runner.postGitHubStatus(deliveries[0].payload);
+    assert.strictEqual(requests[0].url, `/repos/wp-media/wp-rocket/statuses/${'a'.repeat(40)}`);
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer github-token');
+    assert.strictEqual(JSON.parse(requests[0].body).state, 'failure');
+  });
+});
+
+// SMTP server stand-in recording the commands, offering STARTTLS when given TLS options
+async function startSmtpServer(tlsOptions = null) {
+  const session = { commands: [], message: [], servername: null };
+  const serve = (socket, stream) => {
+    let buffer = '';
+    let inData = false;
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            stream.write('250 Queued\r\n');
+          } else {
+            session.message.push(line);
+          }
+          continue;
+        }
+
+        const encrypted = stream !== socket;
+        session.commands.push({ line, encrypted });
+        const verb = line.split(/[ :]/)[0];
+        if (verb === 'EHLO') {
+          stream.write(`250-smtp.test\r\n${tlsOptions && !encrypted ? '250-STARTTLS\r\n' : ''}250 AUTH PLAIN\r\n`);
+        } else if (verb === 'STARTTLS') {
+          stream.write('220 Ready to start TLS\r\n');
+          stream.off('data', onData);
+          const secureSocket = new tls.TLSSocket(socket, { isServer: true, ...tlsOptions });
+          secureSocket.on('secure', () => { session.servername = secureSocket.servername; });
+          serve(socket, secureSocket);
+        } else if (verb === 'DATA') {
+          inData = true;
+          stream.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'RCPT' && line.includes('unknown@')) {
+          stream.write('550 No such user\r\n');
+        } else if (verb === 'QUIT') {
+          stream.end('221 Bye\r\n');
+        } else {
+          stream.write(verb === 'AUTH' ? '235 Authenticated\r\n' : '250 OK\r\n');
+        }
+      }
+    };
+    stream.on('data', onData);
+    stream.on('error', () => {});
+  };
+
+  const server = net.createServer((socket) => {
+    serve(socket, socket);
+    socket.write('220 smtp.test ESMTP\r\n');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, session, port: server.address().port };
+}
+
+async function withSmtpServer(tlsOptions, callback) {
+  const smtp = await startSmtpServer(tlsOptions);
+  try {
+    await callback(smtp);
+  } finally {
+    smtp.server.close();
+  }
+}
+
+const mail = { from: 'auto-e2e@example.com', to: ['qa@example.com'], subject: 'E2E passed ✅', text: 'All tests passed\n.\nSee the report', timeout: 5000 };
+
+test('emails are delivered without authentication when no user is set', async () => {
+  await withSmtpServer(null, async ({ session, port }) => {
+    await sendMail({ ...mail, host: '127.0.0.1', port });
+    assert.deepStrictEqual(session.commands.map(command => command.line.split(/[ :]/)[0]), ['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+    assert.ok(session.message.includes('Subject: =?UTF-8?B?RTJFIHBhc3NlZCDinIU=?='));
+    const body = Buffer.from(session.message.slice(session.message.indexOf('') + 1).join(''), 'base64').toString('utf8');
+    assert.strictEqual(body, 'All tests passed\r\n.\r\nSee the report');
+  });
+});
+
+test('credentials are not sent in clear text unless allowed', async () => {
+  await withSmtpServer(null, async ({ session, port }) => {
+    await assert.rejects(
+      sendMail({ ...mail, host: '127.0.0.1', port, user: 'auto-e2e', password: 'secret' }),
+      /SMTP server 127\.0\.0\.1 offers no STARTTLS, not sending the credentials in clear text/,
+    );
+    assert.ok(!session.commands.some(command => command.line.startsWith('AUTH')));
+  });
+
+  await withSmtpServer(null, async ({ session, port }) => {
+    await sendMail({ ...mail, host: '127.0.0.1', port, user: 'auto-e2e', password: 'secret', allowInsecureAuth: true });
+    assert.strictEqual(session.commands[1].line, `AUTH PLAIN ${Buffer.from('\0auto-e2e\0secret').toString('base64')}`);
+  });
+});
+
+test('rejected recipients fail the delivery with the verb and the reply', async () => {
+  await withSmtpServer(null, async ({ port }) => {
+    await assert.rejects(
+      sendMail({ ...mail, to: ['unknown@example.com'], host: '127.0.0.1', port }),
+      /SMTP RCPT rejected by 127\.0\.0\.1: 550 No such user/,
+    );
+  });
+});
+
+// Self-signed certificate of the SMTP stand-in, null when openssl is not installed
+function createCertificate() {
+  const dir = createTempDir();
+  try {
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes', '-days', '1',
+      '-subj', '/CN=localhost', '-keyout', path.join(dir, 'key.pem'), '-out', path.join(dir, 'cert.pem'),
+    ], { stdio: 'ignore', timeout: 30000 });
+  } catch {
+    return null;
+  }
+  return { key: fs.readFileSync(path.join(dir, 'key.pem')), cert: fs.readFileSync(path.join(dir, 'cert.pem')) };
+}
+
+test('credentials are sent after STARTTLS, with a server name only for host names', async (t) => {
+  const certificate = createCertificate();
+  if (!certificate) {
+    t.skip('openssl is not installed');
+    return;
+  }
+  // The stand-in certificate is self-signed
+  process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+  process.emitWarning = () => {};
+
+  for (const [host, servername] of [['localhost', 'localhost'], ['127.0.0.1', false]]) {
+    await withSmtpServer(certificate, async ({ session, port }) => {
+      await sendMail({ ...mail, host, port, user: 'auto-e2e', password: 'secret' });
+      const auth = session.commands.find(command => command.line.startsWith('AUTH'));
+      assert.strictEqual(auth.encrypted, true);
+      assert.strictEqual(session.commands[0].line.split(' ')[0], 'EHLO');
+      assert.strictEqual(session.commands[1].line, 'STARTTLS');
+      assert.strictEqual(session.servername, servername);
+    });
+  }
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+// Runner whose deliveries fail while `failing` is set
+function createOutboxRunner() {
+  const { runner } = createRunner();
+  runner.failing = true;
+  runner.delivered = [];
+  runner.deliverPayload = async (type, payload) => {
+    if (runner.failing) {
+      throw new Error('HTTP 503');
+    }
+    runner.delivered.push({ type, payload });
+  };
+  return runner;
+}
+
+function readItems(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(name => name.endsWith('.json'))
+    .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+}
+
+test('a failed delivery stays in the outbox with an exponential backoff', async () => {
+  CONFIG.OUTBOX_RETRY_DELAY = 60 * 1000;
+  CONFIG.OUTBOX_MAX_RETRY_DELAY = 3 * 60 * 1000;
+  const runner = createOutboxRunner();
+
+  assert.strictEqual(await runner.queueDelivery('datator', { run: 1 }), false);
+  const delays = [];
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const [item] = readItems(CONFIG.OUTBOX_DIR);
+    assert.strictEqual(item.attempts, attempt);
+    assert.strictEqual(item.lastError, 'HTTP 503');
+    delays.push(Math.round((new Date(item.nextAttemptAt).getTime() - Date.now()) / 60000));
+    await runner.processOutbox(true);
+  }
+  // Doubled after each failed attempt, up to the maximum delay
+  assert.deepStrictEqual(delays, [1, 2, 3, 3]);
+});
+
+test('pending deliveries are only retried once their backoff expired', async () => {
+  CONFIG.OUTBOX_RETRY_DELAY = 60 * 1000;
+  const runner = createOutboxRunner();
+  await runner.queueDelivery('slack-report', { text: 'report' });
+
+  runner.failing = false;
+  assert.deepStrictEqual(await runner.processOutbox(), { delivered: 0, failed: 0 });
+
+  CONFIG.OUTBOX_RETRY_DELAY = 0;
+  const [item] = readItems(CONFIG.OUTBOX_DIR);
+  fs.writeFileSync(path.join(CONFIG.OUTBOX_DIR, `${item.id}.json`), JSON.stringify({ ...item, nextAttemptAt: new Date(0).toISOString() }));
+  assert.deepStrictEqual(await runner.processOutbox(), { delivered: 1, failed: 0 });
+  assert.deepStrictEqual(runner.delivered, [{ type: 'slack-report', payload: { text: 'report' } }]);
+  assert.deepStrictEqual(readItems(CONFIG.OUTBOX_DIR), []);
+});
+
+test('deliveries failing past the maximum age are moved to the dead folder', async () => {
+  CONFIG.OUTBOX_MAX_AGE = 0;
+  const runner = createOutboxRunner();
+  // The item is only older than the maximum age once the failed delivery took some time
+  const deliverPayload = runner.deliverPayload;
+  runner.deliverPayload = async (...args) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return deliverPayload(...args);
+  };
+  await runner.queueDelivery('webhook', { outcome: 'failed' });
+
+  assert.deepStrictEqual(readItems(CONFIG.OUTBOX_DIR), []);
+  const [dead] = readItems(CONFIG.OUTBOX_DEAD_DIR);
+  assert.strictEqual(dead.type, 'webhook');
+
+  // Not retried unless forced
+  runner.failing = false;
+  assert.deepStrictEqual(await runner.processOutbox(), { delivered: 0, failed: 0 });
+  assert.deepStrictEqual(await runner.processOutbox(true), { delivered: 1, failed: 0 });
+  assert.deepStrictEqual(readItems(CONFIG.OUTBOX_DEAD_DIR), []);
+});
+
+test('an item claimed by another process is not delivered twice', async () => {
+  const runner = createOutboxRunner();
+  runner.failing = false;
+  fs.mkdirSync(CONFIG.OUTBOX_DIR, { recursive: true });
+  const file = path.join(CONFIG.OUTBOX_DIR, 'claimed.json');
+  fs.writeFileSync(file, JSON.stringify({ id: 'claimed', type: 'email', payload: {}, attempts: 0, createdAt: new Date().toISOString() }));
+  fs.renameSync(file, file.replace(/\.json$/, '.sending'));
+
+  assert.strictEqual(await runner.deliverOutboxItem(file), false);
+  assert.deepStrictEqual(runner.delivered, []);
+});
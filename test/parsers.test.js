@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, parsePlaywrightReport, parseJUnitReport } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+const playwrightReport = {
+  config: {},
+  suites: [{
+    title: 'cache.spec.ts',
+    file: 'cache.spec.ts',
+    suites: [{
+      title: 'Cache',
+      specs: [
+        {
+          title: 'clears the cache',
+          tags: ['smoke'],
+          tests: [
+            { projectName: 'chromium', status: 'expected', results: [{ duration: 1500, startTime: '2026-10-19T10:00:00.000Z', steps: [{ title: 'click', duration: 200 }], attachments: [{ name: 'trace', contentType: 'application/zip', path: '/tmp/trace.zip' }] }] },
+            { projectName: 'firefox', status: 'flaky', results: [{ duration: 1000, error: { message: '\u001b[31mTimeout\u001b[39m' } }, { duration: 500 }] },
+          ],
+        },
+        {
+          title: 'preloads',
+          tests: [
+            { projectName: 'chromium', status: 'unexpected', results: [{ duration: 2000, error: { message: 'expect(received).toBe(expected)' } }] },
+            { projectName: 'firefox', status: 'skipped', results: [] },
+          ],
+        },
+      ],
+    }],
+  }],
+};
+
+const junitReport = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="Cache">
+    <testcase classname="Cache &amp; preload" name="clears the cache" time="1.5">
+      <system-out>[[ATTACHMENT|/tmp/screenshot.png]]</system-out>
+    </testcase>
+    <testcase name="preloads" time="2"><failure message="expected &lt;200&gt;" type="AssertionError">stack</failure></testcase>
+    <testcase name="minifies" time="0.5"><error type="TimeoutError"><![CDATA[Timed out <30s>]]></error></testcase>
+    <testcase name="lazyloads"><skipped/></testcase>
+  </testsuite>
+</testsuites>`;
+
+const cucumberReport = [{
+  name: 'Cache',
+  elements: [
+    { type: 'background', name: 'Login', steps: [{ keyword: 'Given ', name: 'I am logged in', result: { status: 'passed', duration: 1e9 } }] },
+    {
+      type: 'scenario', name: 'Clear cache', tags: [{ name: '@smoke' }],
+      steps: [{ keyword: 'When ', name: 'I clear the cache', result: { status: 'passed', duration: 2e9 } }],
+    },
+    {
+      type: 'scenario', name: 'Preload',
+      steps: [
+        { keyword: 'When ', name: 'I preload', result: { status: 'failed', duration: 5e8, error_message: 'Timeout 30000ms exceeded' } },
+        { keyword: 'Then ', name: 'pages are cached', result: { status: 'skipped' } },
+      ],
+    },
+    { type: 'scenario', name: 'Minify', steps: [{ keyword: 'When ', name: 'I minify', result: { status: 'undefined' } }] },
+  ],
+}];
+
+test('Playwright reports are normalized, with projects when there are several', () => {
+  const testCases = parsePlaywrightReport(playwrightReport);
+  assert.deepStrictEqual(testCases.map(testCase => [testCase.feature_name, testCase.test_name, testCase.status, testCase.retries]), [
+    ['cache.spec.ts › Cache', 'clears the cache [chromium]', 'passed', 0],
+    ['cache.spec.ts › Cache', 'clears the cache [firefox]', 'flaky', 1],
+    ['cache.spec.ts › Cache', 'preloads [chromium]', 'failed', 0],
+  ]);
+  assert.strictEqual(testCases[0].duration, 1.5);
+  assert.deepStrictEqual(testCases[0].tags, ['@smoke']);
+  assert.deepStrictEqual(testCases[0].attachments, [{ name: 'trace', content_type: 'application/zip', path: '/tmp/trace.zip' }]);
+  assert.strictEqual(testCases[1].error_message, 'Timeout');
+  assert.strictEqual(testCases[2].error_message, 'expect(received).toBe(expected)');
+});
+
+test('JUnit reports are normalized, skipped test cases left out', () => {
+  const testCases = parseJUnitReport(junitReport);
+  assert.deepStrictEqual(testCases.map(testCase => [testCase.feature_name, testCase.test_name, testCase.status, testCase.error_message]), [
+    ['Cache & preload', 'clears the cache', 'passed', null],
+    ['Cache', 'preloads', 'failed', 'expected <200>'],
+    ['Cache', 'minifies', 'failed', 'Timed out <30s>'],
+  ]);
+  assert.strictEqual(testCases[0].duration, 1.5);
+  assert.deepStrictEqual(testCases[0].attachments, [{ name: 'screenshot.png', content_type: null, path: '/tmp/screenshot.png' }]);
+});
+
+// Results folder containing the given files
+function writeResults(name, files) {
+  const folder = path.join(CONFIG.RESULTS_DIR, name);
+  fs.mkdirSync(folder, { recursive: true });
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(folder, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return name;
+}
+
+test('the report format of a results folder is detected', async () => {
+  const { runner } = createRunner();
+
+  const cucumber = await runner.analyzeReport(writeResults('cucumber', { 'cucumber-report.json': cucumberReport, 'cucumber-report.html': '' }));
+  assert.strictEqual(cucumber.format, 'cucumber');
+  assert.strictEqual(cucumber.reportFile, 'cucumber-report.html');
+  assert.deepStrictEqual(cucumber.testCases.map(testCase => [testCase.test_name, testCase.status, testCase.duration]), [
+    ['Clear cache', 'passed', 2], ['Preload', 'failed', 0.5], ['Minify', 'skipped', 0],
+  ]);
+  assert.strictEqual(cucumber.testCases[1].error_message, 'Timeout 30000ms exceeded');
+  assert.deepStrictEqual(cucumber.failedTestNames, ['Cache - Preload', 'Cache - Minify']);
+
+  const playwright = await runner.analyzeReport(writeResults('playwright', { 'results.json': playwrightReport, 'package.json': { name: 'e2e' } }));
+  assert.strictEqual(playwright.format, 'playwright');
+  assert.strictEqual(playwright.reportFile, 'results.json');
+  assert.strictEqual(playwright.flakyTests, 1);
+
+  const junit = await runner.analyzeReport(writeResults('junit', { 'junit.xml': junitReport }));
+  assert.strictEqual(junit.format, 'junit');
+  assert.strictEqual(junit.failedTests, 2);
+  assert.ok(junit.testCases.every(testCase => testCase.error_signature === null || /^[0-9a-f]+$/.test(testCase.error_signature)));
+});
+
+test('a results folder without report has no analysis', async () => {
+  const { runner } = createRunner();
+  assert.strictEqual(await runner.analyzeReport(writeResults('empty', { 'notes.json': { note: true } })), null);
+  assert.strictEqual(await runner.analyzeReport('missing'), null);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadProducts, findProductForSuite } = require('../auto-e2e');
+const { createTempDir, createRunner } = require('./helpers');
+
+test('the registry resolves relative paths and fills the optional fields', () => {
+  const dir = createTempDir();
+  const file = path.join(dir, 'products.js');
+  fs.writeFileSync(file, `module.exports = [{
+    name: 'Plugin', datatorCode: 'plugin', repo: 'https://github.com/org/plugin.git', branch: 'main',
+    cloneDir: 'plugin', compileScript: 'compile.sh', zipFolder: '.', zipPattern: /^plugin.*\\.zip$/,
+    zipForE2E: 'plugin.zip', suiteMatch: /^test:plugin/, default: true,
+  }];`);
+
+  const [product] = loadProducts(file);
+  assert.ok(path.isAbsolute(product.cloneDir));
+  assert.strictEqual(path.basename(product.cloneDir), 'plugin');
+  assert.strictEqual(product.compileCommand, 'bash');
+  assert.deepStrictEqual(product.compileArgs, []);
+  assert.deepStrictEqual(product.fileOverrides, []);
+});
+
+test('entries missing fields are rejected', () => {
+  const dir = createTempDir();
+  const file = path.join(dir, 'products.js');
+  fs.writeFileSync(file, "module.exports = [{ name: 'Broken', repo: 'x' }];");
+  assert.throws(() => loadProducts(file), /Product "Broken" is missing fields: datatorCode/);
+});
+
+test('suites are matched to their product, falling back to the default one', () => {
+  const products = loadProducts();
+  assert.strictEqual(findProductForSuite(products, 'test:bwpup:smoke').datatorCode, 'backwpup');
+  assert.strictEqual(findProductForSuite(products, 'test:e2e').datatorCode, 'wp_rocket');
+  assert.strictEqual(findProductForSuite(products, 'lint').datatorCode, 'wp_rocket');
+});
+
+test('WP Rocket ZIP names are matched by prefix, folders are not', () => {
+  const { zipPattern } = findProductForSuite(loadProducts(), 'test:e2e');
+  assert.ok(zipPattern.test('wp-rocket.zip'));
+  assert.ok(zipPattern.test('wp-rocket_3.19.zip'));
+  assert.ok(!zipPattern.test('wp-rocket'));
+  assert.ok(!zipPattern.test('wp-rocket-e2e'));
+});
+
+test('the newest ZIP matching the pattern is used', async () => {
+  const { runner, dir } = createRunner();
+  fs.writeFileSync(path.join(dir, 'compile.sh'), 'touch wp-rocket_3.19.zip\n');
+  fs.writeFileSync(path.join(dir, 'wp-rocket_3.18.zip'), '');
+  const old = new Date(Date.now() - 60 * 60 * 1000);
+  fs.utimesSync(path.join(dir, 'wp-rocket_3.18.zip'), old, old);
+  fs.mkdirSync(path.join(dir, 'wp-rocket'));
+  runner.product = {
+    ...findProductForSuite(runner.products, 'test:e2e'),
+    zipFolder: dir,
+    compileScript: 'compile.sh',
+    fileOverrides: [],
+  };
+  runner.pluginName = runner.product.name;
+
+  assert.strictEqual(await runner.zipPlugin(), path.join(dir, 'wp-rocket_3.19.zip'));
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadQuarantine, splitQuarantine, findQuarantineEntry } = require('../auto-e2e');
+const { createTempDir } = require('./helpers');
+
+const dir = createTempDir();
+let fileCount = 0;
+
+function writeQuarantine(entries) {
+  const file = path.join(dir, `quarantine-${++fileCount}.js`);
+  fs.writeFileSync(file, `module.exports = ${JSON.stringify(entries)};`);
+  return file;
+}
+
+const entry = { reason: 'Flaky on CI', owner: '@qa', expires: '2026-10-31' };
+
+test('quarantine entries are validated and labelled', () => {
+  const [byName, byTag] = loadQuarantine(writeQuarantine([
+    { feature: 'Cache', name: 'Preload', ...entry },
+    { tag: '@delayjs', ...entry },
+  ]));
+  assert.strictEqual(byName.label, 'Cache - Preload');
+  assert.strictEqual(byTag.label, '@delayjs');
+  assert.deepStrictEqual(byName.expiresAt, new Date(2026, 9, 31, 23, 59, 59, 999));
+
+  assert.deepStrictEqual(loadQuarantine(path.join(dir, 'missing.js')), []);
+  assert.throws(() => loadQuarantine(writeQuarantine([{ name: 'Preload', ...entry }])), /needs a feature or a tag/);
+  assert.throws(() => loadQuarantine(writeQuarantine([{ feature: 'Cache', expires: '2026-10-31' }])), /missing fields: reason, owner/);
+  assert.throws(() => loadQuarantine(writeQuarantine([{ feature: 'Cache', ...entry, expires: '31/10/2026' }])), /invalid expiry date/);
+});
+
+test('edits of the quarantine file apply without restart', () => {
+  const file = writeQuarantine([{ feature: 'Cache', ...entry }]);
+  assert.strictEqual(loadQuarantine(file).length, 1);
+  fs.writeFileSync(file, `module.exports = ${JSON.stringify([{ feature: 'Cache', ...entry }, { tag: '@smoke', ...entry }])};`);
+  assert.strictEqual(loadQuarantine(file).length, 2);
+});
+
+test('entries expire at the end of their last day', () => {
+  const entries = loadQuarantine(writeQuarantine([
+    { feature: 'Cache', ...entry, expires: '2026-10-19' },
+    { feature: 'Minify', ...entry, expires: '2026-10-18' },
+  ]));
+  const { active, expired } = splitQuarantine(entries, new Date(2026, 9, 19, 23, 0));
+  assert.deepStrictEqual(active.map(item => item.feature), ['Cache']);
+  assert.deepStrictEqual(expired.map(item => item.feature), ['Minify']);
+});
+
+test('scenarios match by tag, by feature, or by feature and name', () => {
+  const entries = loadQuarantine(writeQuarantine([
+    { feature: 'Cache', name: 'Preload', ...entry },
+    { feature: 'Minify', ...entry },
+    { tag: '@delayjs', ...entry },
+  ]));
+  const testCase = (feature, name, tags = []) => ({ feature_name: feature, test_name: name, tags });
+
+  assert.strictEqual(findQuarantineEntry(entries, testCase('Cache', 'Preload')).label, 'Cache - Preload');
+  assert.strictEqual(findQuarantineEntry(entries, testCase('Cache', 'Clear cache')), undefined);
+  assert.strictEqual(findQuarantineEntry(entries, testCase('Minify', 'CSS')).label, 'Minify');
+  assert.strictEqual(findQuarantineEntry(entries, testCase('Delay JS', 'Scripts', ['@delayjs'])).label, '@delayjs');
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { CONFIG, summarizeTestCases, errorSignature, clusterFailures } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+function testCase(testName, status) {
+  return { feature_name: 'Cache', test_name: testName, status, error_message: status === 'failed' ? 'Timeout' : null, duration: 1 };
+}
+
+function reportAnalysis(testCases, outcome) {
+  return { ...summarizeTestCases(testCases), outcome, format: 'cucumber', reportFile: 'cucumber-report.json', changelog: null };
+}
+
+// Runner collecting the Slack reports instead of sending them
+function createReportRunner() {
+  const { runner } = createRunner();
+  Object.assign(runner, { pluginName: 'WP Rocket', pluginRef: 'develop', e2eRef: 'develop', slackReports: [] });
+  runner.sendSlackReport = async (message, blocks) => { runner.slackReports.push({ message, blocks }); };
+  return runner;
+}
+
+async function sendSlackReport(runner, fields = {}) {
+  await runner.notifySlack(runner.buildCycleResult('test:e2e', {
+    reportAnalysis: reportAnalysis([testCase('Preload', 'failed')], 'failed'),
+    resultsFolder: '2026-10-19_10-00-00',
+    durationSeconds: 60,
+    pluginCommit: 'a'.repeat(40),
+    e2eCommit: 'b'.repeat(40),
+    ...fields,
+  }), { type: 'slack' });
+  return runner.slackReports[runner.slackReports.length - 1];
+}
+
+test('without dashboard the Slack report gives the path of the report on the test environment', async () => {
+  CONFIG.DASHBOARD_URL = '';
+  const runner = createReportRunner();
+  const { message, blocks } = await sendSlackReport(runner);
+  const reportPath = path.join(CONFIG.RESULTS_DIR, '2026-10-19_10-00-00', 'cucumber-report.json');
+
+  assert.ok(message.includes(`Test report on the test environment: \`${reportPath}\``));
+  assert.ok(JSON.stringify(blocks).includes(reportPath));
+  assert.ok(!/scp|xx\.xx/.test(message));
+});
+
+test('the Slack report links the dashboard when there is one, and nothing without results', async () => {
+  const runner = createReportRunner();
+  let { message } = await sendSlackReport(runner, { reportUrl: 'https://e2e.example.com/results/2026-10-19_10-00-00/cucumber-report.json' });
+  assert.ok(message.includes('Test report: https://e2e.example.com/results/2026-10-19_10-00-00/cucumber-report.json'));
+
+  ({ message } = await sendSlackReport(runner, { resultsFolder: null }));
+  assert.ok(!message.includes('Test report'));
+});
+
+test('the plain text report caps its lists', () => {
+  const runner = createReportRunner();
+  const names = Array.from({ length: 25 }, (value, index) => `Scenario ${index + 1}`);
+  const analysis = {
+    ...reportAnalysis([...names.map(name => testCase(name, 'failed')), ...names.map(name => testCase(`${name} retried`, 'flaky'))], 'failed'),
+    quarantinedTestLines: names,
+  };
+
+  let message = runner.buildReportMessage('test:e2e', analysis, null);
+  assert.ok(message.includes('• Cache - Scenario 10\n_…and 15 more_'));
+  assert.ok(!message.includes('Cache - Scenario 11\n'));
+  assert.ok(message.includes('• Cache - Scenario 10 retried\n_…and 15 more_'));
+  assert.ok(message.includes('🚧 Quarantined (25), not counted:\n• Scenario 1\n'));
+
+  const entries = names.map(name => ({ name, failingRuns: 2, failingSince: '2026-10-18T10:00:00.000Z' }));
+  message = runner.buildReportMessage('test:e2e', analysis, { newFailures: entries, stillFailing: entries, fixed: entries });
+  assert.ok(!message.includes('Failed tests:'));
+  assert.strictEqual(message.match(/_…and 15 more_/g).length, 5);
+  assert.ok(message.includes('• Scenario 10 (failing for 2 runs, since 2026-10-18 10:00 UTC)\n_…and 15 more_'));
+});
+
+test('the plain text report caps the root causes and does not list their scenarios again', () => {
+  const runner = createReportRunner();
+  const testCases = Array.from({ length: 40 }, (value, index) => {
+    const errorMessage = `Expected ${index} cached pages`;
+    return { ...testCase(`Scenario ${index + 1}`, 'failed'), error_message: errorMessage, error_signature: errorSignature(errorMessage) };
+  });
+  const analysis = { ...reportAnalysis(testCases, 'failed'), failureClusters: clusterFailures(testCases) };
+
+  let message = runner.buildReportMessage('test:e2e', analysis, null);
+  assert.ok(message.includes('🧩 40 root cause(s):'));
+  assert.ok(message.includes('*10. Expected 9 cached pages* (1 scenario(s))\n• Cache - Scenario 10\n_…and 30 more root cause(s)_'));
+  assert.ok(!message.includes('Expected 10 cached pages'));
+  assert.strictEqual(message.match(/Cache - Scenario 1\n/g).length, 1);
+  // The scenarios of the root causes left out are still listed
+  assert.ok(message.includes('Other failed tests:\n• Cache - Scenario 11\n'));
+
+  const newFailures = [{ name: 'Cache - Scenario 1' }, { name: 'Cache - Scenario 40' }];
+  message = runner.buildReportMessage('test:e2e', analysis, { newFailures, stillFailing: [], fixed: [] });
+  assert.ok(message.includes('• Cache - Scenario 1 🆕\n'));
+  assert.ok(message.includes('🆕 New failures (2), marked 🆕 under their root cause:\n• Cache - Scenario 40'));
+  assert.strictEqual(message.match(/Cache - Scenario 1\b/g).length, 1);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, findProtectedRuns } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+const day = 24 * 60 * 60 * 1000;
+
+function run(resultsFolder, outcome, scenarios = {}, extra = {}) {
+  return { testSuite: 'test:e2e', resultsFolder, outcome, scenarios, ...extra };
+}
+
+// Results folder last modified the given number of days ago
+function writeFolder(name, ageDays) {
+  const folder = path.join(CONFIG.RESULTS_DIR, name);
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(path.join(folder, 'cucumber-report.json'), '[]');
+  const time = new Date(Date.now() - ageDays * day);
+  fs.utimesSync(folder, time, time);
+}
+
+async function applyRetentionPolicy(history, folders) {
+  const { runner } = createRunner();
+  for (const entry of history) {
+    await runner.appendRunHistory(entry);
+  }
+  for (const [name, ageDays] of Object.entries(folders)) {
+    writeFolder(name, ageDays);
+  }
+  await runner.applyRetentionPolicy();
+  return {
+    folders: fs.readdirSync(CONFIG.RESULTS_DIR).filter(name => name !== 'archive' && name !== 'history.jsonl').sort(),
+    archives: fs.existsSync(CONFIG.ARCHIVE_DIR) ? fs.readdirSync(CONFIG.ARCHIVE_DIR).sort() : [],
+  };
+}
+
+test('the last passed run and the start of each ongoing failure are protected', () => {
+  const history = [
+    run('run-1', 'failed', { 'Cache - Preload': 'failed' }),
+    run('run-2', 'passed', { 'Cache - Preload': 'passed' }),
+    run('run-3', 'failed', { 'Cache - Preload': 'failed', 'Cache - Minify': 'passed' }),
+    run('run-4', 'failed', { 'Cache - Preload': 'failed', 'Cache - Minify': 'failed' }),
+    run('run-5', 'failed', { 'Cache - Preload': 'failed', 'Cache - Minify': 'skipped' }),
+    run('one-off', 'passed', {}, { oneOff: true }),
+    run('smoke-1', 'passed', {}, { testSuite: 'test:smoke' }),
+  ];
+  assert.deepStrictEqual([...findProtectedRuns(history)].sort(), ['run-2', 'run-3', 'run-4', 'smoke-1']);
+});
+
+test('folders past their age are compressed, failed runs are kept longer', async () => {
+  Object.assign(CONFIG, { RETENTION_DAYS: 4, RETENTION_FAILED_DAYS: 14, RETENTION_MAX_RUNS: 0, RETENTION_MAX_SIZE_GB: 0 });
+  const { folders, archives } = await applyRetentionPolicy([
+    run('passed-old', 'failed', {}, { testSuite: 'test:other' }),
+    run('failed-old', 'failed', { 'Cache - Preload': 'failed' }, { testSuite: 'test:smoke' }),
+    run('failed-recent', 'failed', {}),
+    run('passed-recent', 'passed', {}),
+  ], { 'unknown-old': 5, 'failed-old': 20, 'failed-recent': 10, 'passed-recent': 1 });
+
+  // failed-old is the first run of an ongoing failure of test:smoke
+  assert.deepStrictEqual(folders, ['failed-old', 'failed-recent', 'passed-recent']);
+  assert.deepStrictEqual(archives, ['unknown-old.tar.gz']);
+  // The archive keeps the date of the run
+  assert.ok(Date.now() - fs.statSync(path.join(CONFIG.ARCHIVE_DIR, 'unknown-old.tar.gz')).mtimeMs > 4 * day);
+});
+
+test('the run count only counts the folders that are not protected', async () => {
+  Object.assign(CONFIG, { RETENTION_DAYS: 0, RETENTION_FAILED_DAYS: 0, RETENTION_MAX_RUNS: 2, RETENTION_MAX_SIZE_GB: 0 });
+  const { folders, archives } = await applyRetentionPolicy([
+    // Protected runs, one of them already gone from the disk
+    run('gone', 'passed', {}, { testSuite: 'test:smoke' }),
+    run('failing-since', 'failed', { 'Cache - Preload': 'failed' }, { testSuite: 'test:other' }),
+  ], { 'failing-since': 10, 'run-1': 5, 'run-2': 4, 'run-3': 3, 'run-4': 2 });
+
+  assert.deepStrictEqual(folders, ['failing-since', 'run-3', 'run-4']);
+  assert.deepStrictEqual(archives, ['run-1.tar.gz', 'run-2.tar.gz']);
+});
+
+test('archives are deleted past their age', async () => {
+  Object.assign(CONFIG, { RETENTION_DAYS: 0, RETENTION_FAILED_DAYS: 0, RETENTION_MAX_RUNS: 0, RETENTION_MAX_SIZE_GB: 0, RETENTION_ARCHIVE_DAYS: 30 });
+  const { runner } = createRunner();
+  fs.mkdirSync(CONFIG.ARCHIVE_DIR, { recursive: true });
+  for (const [name, ageDays] of [['old.tar.gz', 40], ['recent.tar.gz', 10]]) {
+    const file = path.join(CONFIG.ARCHIVE_DIR, name);
+    fs.writeFileSync(file, '');
+    const time = new Date(Date.now() - ageDays * day);
+    fs.utimesSync(file, time, time);
+  }
+  await runner.applyRetentionPolicy();
+  assert.deepStrictEqual(fs.readdirSync(CONFIG.ARCHIVE_DIR), ['recent.tar.gz']);
+});
+
+test('the history and the archives are stored with the results', () => {
+  CONFIG.RESULTS_DIR = '/srv/e2e/results';
+  assert.strictEqual(CONFIG.HISTORY_FILE, path.join('/srv/e2e/results', 'history.jsonl'));
+  assert.strictEqual(CONFIG.ARCHIVE_DIR, path.join('/srv/e2e/results', 'archive'));
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, REPORT_PARSERS, summarizeTestCases } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+function testCase(testName, status, extra = {}) {
+  return { feature_name: 'Cache', test_name: testName, status, error_message: null, duration: 1, ...extra };
+}
+
+// Runner whose test runs report the given statuses, one object per retry attempt
+function createRetryRunner(attempts) {
+  const { runner } = createRunner();
+  runner.retryRuns = [];
+  runner.runE2ETests = async (testSuite, args) => { runner.retryRuns.push(args); };
+  runner.saveTestResults = async folder => folder;
+  runner.analyzeReport = async () => {
+    const statuses = attempts[runner.retryRuns.length - 1];
+    return statuses ? summarizeTestCases(Object.entries(statuses).map(([name, status]) => testCase(name, status))) : null;
+  };
+  return runner;
+}
+
+function analysis(testCases) {
+  return { ...summarizeTestCases(testCases), format: 'cucumber', reportFile: 'cucumber-report.json' };
+}
+
+test('flaky and quarantined scenarios are not counted as failed', () => {
+  const summary = summarizeTestCases([
+    testCase('Clear cache', 'passed'),
+    testCase('Preload', 'flaky'),
+    testCase('Minify', 'failed'),
+    testCase('Lazyload', 'skipped'),
+    testCase('Delay JS', 'failed', { quarantined: true }),
+  ]);
+  assert.strictEqual(summary.totalTests, 5);
+  assert.strictEqual(summary.successfulTests, 1);
+  assert.strictEqual(summary.failedTests, 2);
+  assert.deepStrictEqual(summary.failedTestNames, ['Cache - Minify', 'Cache - Lazyload']);
+  assert.deepStrictEqual(summary.flakyTestNames, ['Cache - Preload']);
+  assert.strictEqual(summary.quarantinedTests, 1);
+});
+
+test('cucumber scenarios are retried by their exact name', () => {
+  const cucumber = REPORT_PARSERS.find(parser => parser.name === 'cucumber');
+  assert.deepStrictEqual(
+    cucumber.retryArgs([testCase('Clear (all) cache', 'failed'), testCase('Clear (all) cache', 'failed'), testCase('Preload', 'failed')]),
+    ['--name', '^Clear \\(all\\) cache$', '--name', '^Preload$'],
+  );
+});
+
+test('scenarios passing on retry are flagged as flaky, the others stay failed', async () => {
+  CONFIG.RETRY_COUNT = 2;
+  const runner = createRetryRunner([
+    { Preload: 'passed', Minify: 'failed' },
+    { Minify: 'failed' },
+  ]);
+  const result = await runner.retryFailedScenarios('test:e2e', '2026-10-19_10-00-00', analysis([
+    testCase('Clear cache', 'passed'),
+    testCase('Preload', 'failed'),
+    testCase('Minify', 'failed'),
+  ]));
+
+  assert.deepStrictEqual(runner.retryRuns, [['--name', '^Preload$', '--name', '^Minify$'], ['--name', '^Minify$']]);
+  assert.strictEqual(result.failedTests, 1);
+  assert.deepStrictEqual(result.flakyTestNames, ['Cache - Preload']);
+  assert.deepStrictEqual(result.testCases.map(entry => [entry.test_name, entry.status, entry.retries]), [
+    ['Clear cache', 'passed', 0], ['Preload', 'flaky', 1], ['Minify', 'failed', 2],
+  ]);
+  assert.strictEqual(result.format, 'cucumber');
+});
+
+test('retries are skipped for too many failures and for formats without retry support', async () => {
+  CONFIG.RETRY_COUNT = 2;
+  CONFIG.RETRY_MAX_SCENARIOS = 1;
+  const runner = createRetryRunner([]);
+  const result = await runner.retryFailedScenarios('test:e2e', '2026-10-19_10-00-00', analysis([
+    testCase('Preload', 'failed'),
+    testCase('Minify', 'failed'),
+  ]));
+  assert.strictEqual(result.failedTests, 2);
+
+  CONFIG.RETRY_MAX_SCENARIOS = 20;
+  await runner.retryFailedScenarios('test:e2e', '2026-10-19_10-00-00', {
+    ...analysis([testCase('Preload', 'failed')]), format: 'junit',
+  });
+  assert.deepStrictEqual(runner.retryRuns, []);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../auto-e2e');
+const { createRunner } = require('./helpers');
+
+const PLUGIN_A = 'a'.repeat(40);
+const PLUGIN_B = 'b'.repeat(40);
+const E2E_A = 'c'.repeat(40);
+const E2E_B = 'd'.repeat(40);
+
+function createConfiguredRunner() {
+  const { runner } = createRunner();
+  runner.pluginName = 'WP Rocket';
+  runner.pluginRef = 'develop';
+  runner.e2eRef = 'develop';
+  return runner;
+}
+
+test('a suite without previous run runs', async () => {
+  const runner = createConfiguredRunner();
+  assert.strictEqual(await runner.getRunReason('test:e2e', PLUGIN_A, E2E_A), 'no previous run recorded');
+});
+
+test('a cycle is skipped when neither repository moved', async () => {
+  const runner = createConfiguredRunner();
+  await runner.saveTestedCommits('test:e2e', PLUGIN_A, E2E_A);
+  assert.strictEqual(await runner.getRunReason('test:e2e', PLUGIN_A, E2E_A), null);
+  // Other suites have their own state
+  assert.strictEqual(await runner.getRunReason('test:e2e:smoke', PLUGIN_A, E2E_A), 'no previous run recorded');
+});
+
+test('a new commit in either repository triggers a run', async () => {
+  const runner = createConfiguredRunner();
+  await runner.saveTestedCommits('test:e2e', PLUGIN_A, E2E_A);
+  assert.strictEqual(await runner.getRunReason('test:e2e', PLUGIN_B, E2E_A), 'WP Rocket changed (aaaaaaa -> bbbbbbb)');
+  assert.strictEqual(await runner.getRunReason('test:e2e', PLUGIN_A, E2E_B), 'wp-rocket-e2e changed (ccccccc -> ddddddd)');
+});
+
+test('testing other refs triggers a run', async () => {
+  const runner = createConfiguredRunner();
+  await runner.saveTestedCommits('test:e2e', PLUGIN_A, E2E_A);
+  runner.pluginRef = 'feature/cache';
+  assert.match(await runner.getRunReason('test:e2e', PLUGIN_A, E2E_A), /^refs changed/);
+});
+
+test('a run is forced once the last one is too old', async () => {
+  const runner = createConfiguredRunner();
+  await runner.saveTestedCommits('test:e2e', PLUGIN_A, E2E_A);
+  CONFIG.FORCE_RUN_INTERVAL = 1;
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.match(await runner.getRunReason('test:e2e', PLUGIN_A, E2E_A), /^last run is older than/);
+  CONFIG.FORCE_RUN_INTERVAL = 0;
+  assert.strictEqual(await runner.getRunReason('test:e2e', PLUGIN_A, E2E_A), null);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCron, nextCronTime, parseQuietHours, isInQuietHours, loadSchedule } = require('../auto-e2e');
+const { createTempDir } = require('./helpers');
+
+// Dates are in local time, like cron expressions and quiet hours
+function localDate(day, hours, minutes) {
+  return new Date(2026, 9, day, hours, minutes);
+}
+
+test('cron expressions support lists, ranges, steps and *', () => {
+  const cron = parseCron('5/20 8-10,22 * * 1-5');
+  assert.deepStrictEqual([...cron.minutes], [5, 25, 45]);
+  assert.deepStrictEqual([...cron.hours], [8, 9, 10, 22]);
+  assert.deepStrictEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.strictEqual(cron.anyDay, false);
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+
+  for (const expression of ['* * * *', '60 * * * *', '* 5-2 * * *', '*/0 * * * *', 'a * * * *']) {
+    assert.throws(() => parseCron(expression), /Invalid cron expression/);
+  }
+});
+
+test('the next run is the next matching minute', () => {
+  // 2026-10-19 is a Monday
+  assert.deepStrictEqual(nextCronTime(parseCron('0 1 * * *'), localDate(19, 0, 59)), localDate(19, 1, 0));
+  assert.deepStrictEqual(nextCronTime(parseCron('0 1 * * *'), localDate(19, 1, 0)), localDate(20, 1, 0));
+  assert.deepStrictEqual(nextCronTime(parseCron('0 3 * * 1-5'), localDate(23, 4, 0)), localDate(26, 3, 0));
+  // Both day fields restricted: either of them matches
+  assert.deepStrictEqual(nextCronTime(parseCron('0 0 25 * 0'), localDate(19, 12, 0)), localDate(25, 0, 0));
+  // A day field starting with * is not restricted: odd days of the month that are Mondays
+  assert.strictEqual(parseCron('0 0 */2 * 1').anyDay, false);
+  assert.deepStrictEqual(nextCronTime(parseCron('0 0 */2 * 1'), localDate(19, 12, 0)), new Date(2026, 10, 9, 0, 0));
+  assert.strictEqual(nextCronTime(parseCron('0 0 31 2 *'), localDate(19, 12, 0)), null);
+});
+
+test('quiet hours may wrap past midnight', () => {
+  const quietHours = parseQuietHours(['22:30-02:00', '12:00-13:00']);
+  assert.strictEqual(isInQuietHours(quietHours, localDate(19, 23, 0)), true);
+  assert.strictEqual(isInQuietHours(quietHours, localDate(19, 1, 59)), true);
+  assert.strictEqual(isInQuietHours(quietHours, localDate(19, 2, 0)), false);
+  assert.strictEqual(isInQuietHours(quietHours, localDate(19, 12, 30)), true);
+  assert.strictEqual(isInQuietHours(quietHours, localDate(19, 13, 0)), false);
+  assert.strictEqual(isInQuietHours([], localDate(19, 12, 30)), false);
+
+  assert.throws(() => parseQuietHours(['22h-2h']), /HH:MM-HH:MM expected/);
+  assert.throws(() => parseQuietHours(['24:00-02:00']), /out of range/);
+});
+
+test('scheduled jobs are validated', () => {
+  const dir = createTempDir();
+  const writeSchedule = (name, jobs) => {
+    const file = path.join(dir, `${name}.js`);
+    fs.writeFileSync(file, `module.exports = ${JSON.stringify(jobs)};`);
+    return file;
+  };
+
+  const [job] = loadSchedule(writeSchedule('valid', [{ suite: 'test:smoke', interval: 60, quietHours: ['01:00-05:00'], pluginRef: 'develop' }]));
+  assert.strictEqual(job.name, 'test:smoke');
+  assert.strictEqual(job.interval, 60 * 60 * 1000);
+  assert.strictEqual(job.priority, 0);
+  assert.strictEqual(job.pluginRef, 'develop');
+
+  assert.throws(() => loadSchedule(writeSchedule('empty', [])), /empty or invalid/);
+  assert.throws(() => loadSchedule(writeSchedule('no-suite', [{ name: 'nightly', cron: '0 1 * * *' }])), /"nightly" has no suite/);
+  assert.throws(() => loadSchedule(writeSchedule('both', [{ suite: 'test:e2e', cron: '0 1 * * *', interval: 60 }])), /either a cron expression or an interval/);
+  assert.throws(() => loadSchedule(writeSchedule('bad-ref', [{ suite: 'test:e2e', interval: 60, e2eRef: '--upload-pack=x' }])), /Invalid git ref/);
+});
+
+test('the versioned schedule is valid', () => {
+  assert.ok(loadSchedule(path.join(__dirname, '..', 'schedule.js')).length > 0);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createRunner } = require('./helpers');
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+test('a hung command is killed with its whole process tree', async () => {
+  const { runner, dir } = createRunner();
+  const pidFile = path.join(dir, 'sleep.pid');
+  const started = Date.now();
+
+  await assert.rejects(
+    runner.executeCommand('sh', ['-c', `sleep 30 & echo $! > ${pidFile}; wait`], dir, 500),
+    error => error.timedOut === true && /Command timed out after/.test(error.message),
+  );
+  assert.ok(Date.now() - started < 10000);
+
+  const sleepPid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+  // Give the SIGTERM a moment to land before checking the grandchild is gone
+  for (let i = 0; i < 50 && isAlive(sleepPid); i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  const alive = isAlive(sleepPid);
+  if (alive) {
+    process.kill(sleepPid, 'SIGKILL');
+  }
+  assert.strictEqual(alive, false);
+  assert.ok(runner.logged.some(entry => entry.level === 'warn' && /killing process tree/.test(entry.message)));
+  assert.strictEqual(runner.activeChildren.size, 0);
+});
+
+test('a command ending in time is not killed', async () => {
+  const { runner, dir } = createRunner();
+  const { stdout } = await runner.executeCommand('sh', ['-c', 'echo done'], dir, 5000);
+  assert.strictEqual(stdout.trim(), 'done');
+  assert.ok(!runner.logged.some(entry => /Timed out/.test(entry.message)));
+});